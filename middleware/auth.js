@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { findActiveSession } = require('../services/token');
 
 // Protect routes - require authentication
 exports.protect = async (req, res, next) => {
@@ -20,9 +21,20 @@ exports.protect = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from token
-    const user = await User.findById(decoded.id).select('-password');
+
+    // Tokens from before sessions existed cannot be revoked, so refuse them
+    if (!decoded.sid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid token.'
+      });
+    }
+
+    // Get user and session from token
+    const [user, session] = await Promise.all([
+      User.findById(decoded.id).select('-password'),
+      findActiveSession(decoded.sid, decoded.id)
+    ]);
     
     if (!user) {
       return res.status(401).json({
@@ -38,7 +50,15 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    if (!session) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session has been revoked. Please login again.'
+      });
+    }
+
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -87,10 +107,16 @@ exports.optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
+      const [user, session] = decoded.sid
+        ? await Promise.all([
+          User.findById(decoded.id).select('-password'),
+          findActiveSession(decoded.sid, decoded.id)
+        ])
+        : [];
       
-      if (user && user.isActive) {
+      if (user && user.isActive && session) {
         req.user = user;
+        req.sessionId = session._id;
       }
     }
 
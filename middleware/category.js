@@ -0,0 +1,25 @@
+const { findCategory } = require('../services/category');
+
+// Check req.body.category against the user's categories (system and custom)
+// and replace it with the stored spelling. Passes when no category is sent.
+exports.validateCategory = async (req, res, next) => {
+  if (req.body.category === undefined || req.body.category === null) return next();
+  try {
+    const category = await findCategory(req.user._id, req.body.category);
+    if (!category) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid category'
+      });
+    }
+    req.body.category = category.name;
+    next();
+  } catch (error) {
+    console.error('Validate category error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to validate category',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const { roleIn, hasPermission } = require('../services/permission');
+
+// Pick the organization a request works in from the X-Organization header
+// (or ?organization=) and set req.organization and req.organizationRole.
+// Without one the request covers the user's own expenses.
+exports.organizationContext = async (req, res, next) => {
+  const id = req.get('X-Organization') || req.query.organization;
+  if (!id) return next();
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid organization'
+    });
+  }
+  try {
+    const organization = await Organization.findById(id);
+    if (!organization) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Organization not found'
+      });
+    }
+    const role = roleIn(organization, req.user);
+    if (!role) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not a member of this organization'
+      });
+    }
+    req.organization = organization;
+    req.organizationRole = role;
+    next();
+  } catch (error) {
+    console.error('Organization context error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get organization',
+      error: error.message
+    });
+  }
+};
+
+// Refuse the request unless the user's role in req.organization grants
+// `permission`. Requests outside an organization pass.
+exports.requireOrganizationPermission = (permission) => (req, res, next) => {
+  if (!req.organization || hasPermission(req.organizationRole, permission)) return next();
+  return res.status(403).json({
+    status: 'error',
+    message: `Your role in this organization (${req.organizationRole}) does not allow this`
+  });
+};
@@ -0,0 +1,41 @@
+const multer = require('multer');
+
+// Wrap a multer handler so upload problems (too large, wrong type) produce a
+// 400 response instead of reaching the global error handler
+const handleUpload = (handler) => (req, res, next) => {
+  handler(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    next();
+  });
+};
+
+// Single CSV file in the "file" field, kept in memory for parsing
+exports.csvUpload = handleUpload(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isCSV = /\.csv$/i.test(file.originalname) ||
+      ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+    cb(isCSV ? null : new Error('Only CSV files are allowed'), isCSV);
+  }
+}).single('file'));
+
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf'];
+
+// Up to five receipt images or PDFs in the "files" field
+exports.attachmentUpload = handleUpload(multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.ATTACHMENT_MAX_SIZE) || 5 * 1024 * 1024,
+    files: 5
+  },
+  fileFilter: (req, file, cb) => {
+    const allowed = ATTACHMENT_TYPES.includes(file.mimetype);
+    cb(allowed ? null : new Error('Only JPEG, PNG, WebP, HEIC images and PDF files are allowed'), allowed);
+  }
+}).array('files', 5));
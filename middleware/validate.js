@@ -0,0 +1,16 @@
+const { validationResult } = require('express-validator');
+
+// Reject the request with 400 if any preceding express-validator chain failed
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const budgetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  scope: {
+    type: String,
+    enum: ['overall', 'category', 'tag'],
+    default: 'category'
+  },
+  category: {
+    type: String,
+    trim: true,
+    required: [function() { return this.scope === 'category'; }, 'Category is required for category budgets']
+  },
+  tag: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Tag cannot exceed 20 characters'],
+    required: [function() { return this.scope === 'tag'; }, 'Tag is required for tag budgets']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Budget amount is required'],
+    min: [0, 'Budget cannot be negative']
+  },
+  period: {
+    type: String,
+    enum: ['weekly', 'monthly', 'yearly'],
+    default: 'monthly'
+  },
+  // Carry unspent amounts into the next period
+  rollover: {
+    type: Boolean,
+    default: false
+  },
+  // Rollover accumulates from the period containing this date
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+budgetSchema.index({ user: 1, isActive: 1 });
+
+module.exports = mongoose.model('Budget', budgetSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  // Absent for system categories shared by every user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [30, 'Category name cannot exceed 30 characters']
+  },
+  color: {
+    type: String,
+    default: '#9e9e9e',
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1e88e5']
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Icon cannot exceed 30 characters']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Names are unique per user, ignoring case
+categorySchema.index(
+  { user: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+categorySchema.index({ user: 1, parent: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
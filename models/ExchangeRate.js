@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const CURRENCIES = require('../utils/currencies');
+
+// Units of `currency` per one unit of `base` on `date`. All rates are kept
+// against a single base currency (EXCHANGE_RATE_BASE, default USD) so any
+// pair can be converted through it.
+const exchangeRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    required: true,
+    enum: CURRENCIES
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    enum: CURRENCIES
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  source: {
+    type: String,
+    trim: true,
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ currency: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const CURRENCIES = require('../utils/currencies');
 
 const expenseSchema = new mongoose.Schema({
   user: {
@@ -17,25 +18,18 @@ const expenseSchema = new mongoose.Schema({
     required: [true, 'Amount is required'],
     min: [0, 'Amount cannot be negative']
   },
+  // Set from the owner's home currency when not given
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    uppercase: true
+  },
+  // Name of a system or user-defined Category
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: [
-      'Food & Dining',
-      'Transportation',
-      'Shopping',
-      'Entertainment',
-      'Healthcare',
-      'Education',
-      'Housing',
-      'Utilities',
-      'Insurance',
-      'Travel',
-      'Gifts',
-      'Personal Care',
-      'Subscriptions',
-      'Other'
-    ]
+    trim: true,
+    maxlength: [30, 'Category cannot exceed 30 characters']
   },
   description: {
     type: String,
@@ -71,15 +65,128 @@ const expenseSchema = new mongoose.Schema({
     enum: ['daily', 'weekly', 'monthly', 'yearly'],
     default: 'monthly'
   },
+  recurringSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringExpense'
+  },
+  // Filed in an organization: its members see it as their role allows
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  // Shared expenses: `user` is the member who paid and `splits` says how
+  // much of it each member owes
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  splitType: {
+    type: String,
+    enum: ['equal', 'exact', 'percentage', 'shares']
+  },
+  splits: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    percentage: Number,
+    shares: Number
+  }],
+  // Fingerprint of the statement row this expense was imported from
+  importHash: {
+    type: String,
+    select: false
+  },
   attachments: [{
     public_id: String,
     url: String,
-    filename: String
+    filename: String,
+    mimetype: String,
+    size: Number,
+    storage: {
+      type: String,
+      default: 'local'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
   }],
   status: {
     type: String,
     enum: ['pending', 'completed', 'cancelled'],
     default: 'completed'
+  },
+  // Paid for someone else (e.g. a business expense) and to be paid back
+  reimbursable: {
+    type: Boolean,
+    default: false
+  },
+  // Sign-off of a reimbursable expense, moved along by services/approval.js.
+  // `approvers` are the owner's designated approvers when it was submitted.
+  approval: {
+    state: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected', 'withdrawn']
+    },
+    approvers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    submittedAt: Date,
+    decidedAt: Date,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Comment cannot exceed 500 characters']
+    }
+  },
+  // Amounts or patterns unusual for the user, from services/anomaly.js
+  anomalies: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['amount_outlier', 'possible_decimal_error', 'first_time_large_purchase', 'frequency_spike']
+    },
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high']
+    },
+    message: String,
+    dismissed: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Earlier expense this one is probably a duplicate of, from
+  // services/duplicate.js
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  },
+  // Expenses the user confirmed are not duplicates of this one
+  notDuplicates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  }],
+  // Set when the expense is moved to the trash
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
@@ -89,6 +196,30 @@ const expenseSchema = new mongoose.Schema({
 expenseSchema.index({ user: 1, date: -1 });
 expenseSchema.index({ user: 1, category: 1 });
 expenseSchema.index({ user: 1, date: 1 });
+// Full-text search over the descriptive fields, title weighted highest
+expenseSchema.index(
+  { title: 'text', tags: 'text', location: 'text', description: 'text' },
+  { name: 'expense_text', weights: { title: 10, tags: 5, location: 3, description: 1 } }
+);
+expenseSchema.index({ group: 1, date: -1 }, { partialFilterExpression: { group: { $exists: true } } });
+expenseSchema.index({ organization: 1, date: -1 }, { partialFilterExpression: { organization: { $exists: true } } });
+expenseSchema.index({ user: 1, 'anomalies.type': 1 }, { partialFilterExpression: { 'anomalies.type': { $exists: true } } });
+expenseSchema.index(
+  { 'approval.state': 1, 'approval.approvers': 1, 'approval.submittedAt': 1 },
+  { partialFilterExpression: { 'approval.state': { $exists: true } } }
+);
+expenseSchema.index({ user: 1, duplicateOf: 1 }, { partialFilterExpression: { duplicateOf: { $exists: true } } });
+expenseSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $exists: true } } });
+// One occurrence per series and date, so catch-up runs never double-book
+expenseSchema.index(
+  { recurringSeries: 1, date: 1 },
+  { unique: true, partialFilterExpression: { recurringSeries: { $exists: true } } }
+);
+// Statement rows are imported at most once per user
+expenseSchema.index(
+  { user: 1, importHash: 1 },
+  { unique: true, partialFilterExpression: { importHash: { $exists: true } } }
+);
 
 // Virtual for formatted date
 expenseSchema.virtual('formattedDate').get(function() {
@@ -99,4 +230,33 @@ expenseSchema.virtual('formattedDate').get(function() {
 expenseSchema.set('toJSON', { virtuals: true });
 expenseSchema.set('toObject', { virtuals: true });
 
+// Expenses in the trash are left out of every read and update unless the
+// query filters on deletedAt itself or sets the withDeleted option.
+// Deletes are not filtered, so purging and series clean-up reach them too.
+const excludeDeleted = function() {
+  if (this.getFilter().deletedAt === undefined && !this.getOptions().withDeleted) {
+    this.where({ deletedAt: null });
+  }
+};
+
+expenseSchema.pre(
+  ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'],
+  excludeDeleted
+);
+
+// Same for aggregations. $text has to stay in the first stage, so the
+// condition is merged into an opening $match.
+expenseSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+  if (first && first.$match) {
+    if (first.$match.deletedAt === undefined) {
+      pipeline[0] = { $match: { ...first.$match, deletedAt: null } };
+    }
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
 module.exports = mongoose.model('Expense', expenseSchema); 
\ No newline at end of file
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One entry per change to an expense. Entries outlive the expense so
+// deletions stay traceable and can be undone.
+const expenseHistorySchema = new mongoose.Schema({
+  expense: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Owner of the expense at the time of the change
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Who made the change; empty for changes made by the server itself
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['user', 'admin', 'system'],
+    default: 'user'
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'purge', 'revert', 'submit', 'withdraw', 'approve', 'reject'],
+    required: true
+  },
+  // Where the change came from (api, bulk, import, recurring, group, trash, rule, merge, approval)
+  source: {
+    type: String,
+    default: 'api'
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Given with an approval step, e.g. the reason for a rejection
+  comment: {
+    type: String
+  },
+  // Tracked fields after the change (before it, for deletions and purges)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  revertedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseHistory'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+expenseHistorySchema.index({ expense: 1, createdAt: -1 });
+expenseHistorySchema.index({ user: 1, createdAt: -1 });
+expenseHistorySchema.index({ actorRole: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ExpenseHistory', expenseHistorySchema);
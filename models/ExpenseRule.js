@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_METHODS = ['Cash', 'Credit Card', 'Debit Card', 'Bank Transfer', 'Digital Wallet', 'Other'];
+
+// Fills in new expenses that match its conditions. A user's rules run in
+// ascending priority; see services/rules.js.
+const expenseRuleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Every condition given has to hold
+  conditions: {
+    text: [{
+      _id: false,
+      field: {
+        type: String,
+        enum: ['title', 'description', 'location'],
+        required: true
+      },
+      // `contains` ignores case; `matches` is a regular expression
+      operator: {
+        type: String,
+        enum: ['contains', 'matches'],
+        default: 'contains'
+      },
+      value: {
+        type: String,
+        required: true,
+        maxlength: [200, 'Condition value cannot exceed 200 characters']
+      },
+      caseSensitive: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    minAmount: {
+      type: Number,
+      min: [0, 'Amount cannot be negative']
+    },
+    maxAmount: {
+      type: Number,
+      min: [0, 'Amount cannot be negative']
+    },
+    paymentMethods: [{
+      type: String,
+      enum: PAYMENT_METHODS
+    }]
+  },
+  actions: {
+    category: {
+      type: String,
+      trim: true
+    },
+    addTags: [{
+      type: String,
+      trim: true,
+      maxlength: [20, 'Tag cannot exceed 20 characters']
+    }],
+    paymentMethod: {
+      type: String,
+      enum: PAYMENT_METHODS
+    },
+    // Marks the expense recurring, which starts a series for it
+    recurringType: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'yearly']
+    }
+  }
+}, {
+  timestamps: true
+});
+
+expenseRuleSchema.index({ user: 1, priority: 1 });
+expenseRuleSchema.index({ user: 1, 'actions.category': 1 });
+
+module.exports = mongoose.model('ExpenseRule', expenseRuleSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const CURRENCIES = require('../utils/currencies');
+
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Every expense and settlement in the group uses this currency
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    required: true
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'member'],
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+groupSchema.index({ 'members.user': 1 });
+
+groupSchema.methods.getMember = function(userId) {
+  const id = (userId._id || userId).toString();
+  return this.members.find(member => (member.user._id || member.user).toString() === id);
+};
+
+groupSchema.methods.isOwner = function(userId) {
+  const member = this.getMember(userId);
+  return Boolean(member && member.role === 'owner');
+};
+
+module.exports = mongoose.model('Group', groupSchema);
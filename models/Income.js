@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const CURRENCIES = require('../utils/currencies');
+
+const incomeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Income title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  // Set from the owner's home currency when not given
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    uppercase: true
+  },
+  source: {
+    type: String,
+    required: [true, 'Source is required'],
+    enum: [
+      'Salary',
+      'Freelance',
+      'Business',
+      'Investments',
+      'Rental',
+      'Refund',
+      'Reimbursement',
+      'Gift',
+      'Other'
+    ]
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+    default: Date.now
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [20, 'Tag cannot exceed 20 characters']
+  }]
+}, {
+  timestamps: true
+});
+
+incomeSchema.index({ user: 1, date: -1 });
+incomeSchema.index({ user: 1, source: 1 });
+
+module.exports = mongoose.model('Income', incomeSchema);
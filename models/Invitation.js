@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// An invitation to join an organization, addressed to an email so people
+// without an account yet can be invited. The invitee accepts it once signed
+// in with that email.
+const invitationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['owner', 'manager', 'member', 'viewer'],
+    default: 'member'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One open invitation per email and organization
+invitationSchema.index(
+  { organization: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+invitationSchema.index({ email: 1, status: 1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const CURRENCIES = require('../utils/currencies');
+
+// A company or household whose members file and see expenses together.
+// What each role may do is set in services/permission.js.
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Default currency of new expenses and of the organization's stats
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    required: true
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'manager', 'member', 'viewer'],
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ 'members.user': 1 });
+
+organizationSchema.methods.getMember = function(userId) {
+  const id = (userId._id || userId).toString();
+  return this.members.find(member => (member.user._id || member.user).toString() === id);
+};
+
+organizationSchema.methods.roleOf = function(userId) {
+  const member = this.getMember(userId);
+  return member ? member.role : null;
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Expense = require('./Expense');
+const CURRENCIES = require('../utils/currencies');
+
+const recurringExpenseSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Expense title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    uppercase: true
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  paymentMethod: {
+    type: String,
+    enum: Expense.schema.path('paymentMethod').enumValues,
+    default: 'Cash'
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Location cannot exceed 100 characters']
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [20, 'Tag cannot exceed 20 characters']
+  }],
+  recurringType: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'yearly'],
+    required: [true, 'Recurring type is required']
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: [1, 'Interval must be at least 1']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date
+  },
+  // Index of the next occurrence counted from startDate. Occurrence dates are
+  // always derived from startDate so that monthly series anchored on the 31st
+  // do not drift to the 28th after February.
+  nextIndex: {
+    type: Number,
+    default: 0
+  },
+  nextOccurrence: {
+    type: Date
+  },
+  lastGeneratedAt: {
+    type: Date
+  },
+  skippedDates: [Date],
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled', 'completed'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+recurringExpenseSchema.index({ status: 1, nextOccurrence: 1 });
+recurringExpenseSchema.index({ user: 1, status: 1 });
+
+// Date of the n-th occurrence of this series
+recurringExpenseSchema.methods.occurrenceAt = function(index) {
+  const start = this.startDate;
+  const step = index * (this.interval || 1);
+  const date = new Date(start.getTime());
+
+  switch (this.recurringType) {
+    case 'daily':
+      date.setUTCDate(start.getUTCDate() + step);
+      break;
+    case 'weekly':
+      date.setUTCDate(start.getUTCDate() + step * 7);
+      break;
+    case 'monthly':
+    case 'yearly': {
+      const months = this.recurringType === 'yearly' ? step * 12 : step;
+      const target = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+      const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+      date.setUTCFullYear(target.getUTCFullYear(), target.getUTCMonth(), Math.min(start.getUTCDate(), daysInMonth));
+      break;
+    }
+    default:
+      throw new Error(`Unknown recurring type: ${this.recurringType}`);
+  }
+
+  return date;
+};
+
+recurringExpenseSchema.methods.isSkipped = function(date) {
+  return this.skippedDates.some(skipped => skipped.getTime() === date.getTime());
+};
+
+// Fields copied onto every generated occurrence
+recurringExpenseSchema.methods.toOccurrence = function(date) {
+  return {
+    user: this.user,
+    title: this.title,
+    amount: this.amount,
+    currency: this.currency,
+    category: this.category,
+    description: this.description,
+    paymentMethod: this.paymentMethod,
+    location: this.location,
+    tags: this.tags,
+    date,
+    isRecurring: true,
+    recurringType: this.recurringType,
+    recurringSeries: this._id
+  };
+};
+
+recurringExpenseSchema.pre('save', function(next) {
+  if (this.isNew && !this.nextOccurrence) {
+    this.nextOccurrence = this.occurrenceAt(this.nextIndex);
+  }
+  next();
+});
+
+module.exports = mongoose.model('RecurringExpense', recurringExpenseSchema);
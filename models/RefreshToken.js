@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Refresh tokens are single use. Each refresh marks the presented token as
+// used and issues a new one in the same session; presenting a used token
+// again means it was copied, and the whole session is revoked.
+const refreshTokenSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token; the token itself is only ever sent to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ session: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
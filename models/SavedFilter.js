@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A named set of expense list parameters that can be run again later
+const savedFilterSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Filter name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  // Same fields as the GET /api/expenses query string
+  filters: {
+    q: String,
+    category: String,
+    startDate: String,
+    endDate: String,
+    minAmount: String,
+    maxAmount: String,
+    sortBy: String,
+    sortOrder: String
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+savedFilterSchema.index(
+  { user: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+module.exports = mongoose.model('SavedFilter', savedFilterSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Access tokens carry the session id, so revoking the
+// session ends them as well as its refresh tokens.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed forward on every refresh; expired sessions are removed by MongoDB
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_change', 'deactivated', 'account_deleted', 'reuse_detected']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// A periodic charge found in a user's expenses by services/subscription.js.
+// Detection keeps the figures up to date; `status` is the user's call.
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Lower-cased merchant the charges are grouped by (location, else title)
+  merchantKey: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  cadence: {
+    type: String,
+    enum: ['weekly', 'biweekly', 'monthly', 'quarterly', 'yearly'],
+    required: true
+  },
+  // Amount of the latest charge
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Charges vary from one to the next (e.g. utility bills), so `amount` is
+  // an average and price changes are not tracked
+  variableAmount: {
+    type: Boolean,
+    default: false
+  },
+  // `amount` times the charges in a year
+  annualCost: {
+    type: Number
+  },
+  priceChanges: [{
+    _id: false,
+    date: Date,
+    from: Number,
+    to: Number
+  }],
+  chargeCount: {
+    type: Number,
+    default: 0
+  },
+  firstChargeAt: {
+    type: Date
+  },
+  lastChargeAt: {
+    type: Date
+  },
+  nextChargeAt: {
+    type: Date
+  },
+  // Charges are still coming in on schedule
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Share of the gaps between charges that fit the cadence, from 0 to 1
+  confidence: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['detected', 'confirmed', 'dismissed', 'cancelled'],
+    default: 'detected'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  // A charge came in after the subscription was marked cancelled
+  chargedAfterCancellation: {
+    type: Boolean,
+    default: false
+  },
+  detectedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ user: 1, merchantKey: 1, currency: 1 }, { unique: true });
+subscriptionSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
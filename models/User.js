@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const CURRENCIES = require('../utils/currencies');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+const HOUR_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL = 24 * HOUR_MS;
+const PASSWORD_RESET_TTL = HOUR_MS;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -36,6 +42,11 @@ const userSchema = new mongoose.Schema({
     default: 'user',
     enum: ['user', 'admin']
   },
+  // Users who sign off this user's reimbursable expenses; admins when empty
+  approvers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   monthlyBudget: {
     type: Number,
     default: 0,
@@ -44,15 +55,66 @@ const userSchema = new mongoose.Schema({
   currency: {
     type: String,
     default: 'USD',
-    enum: ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD']
+    enum: CURRENCIES
+  },
+  notificationPreferences: {
+    budgetAlerts: {
+      type: Boolean,
+      default: true
+    },
+    // Percentages of a budget at which an alert is raised
+    budgetThresholds: {
+      type: [{ type: Number, min: 1, max: 1000 }],
+      default: [80, 100]
+    }
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Hashes of single-use emailed tokens; cleared once used
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date,
     default: Date.now
+  },
+  // Deleted accounts are deactivated at once and purged with all their
+  // data at purgeAt, unless restored before then
+  deletedAt: {
+    type: Date
+  },
+  purgeAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // isActive before the deletion, given back on restore
+  activeBeforeDeletion: {
+    type: Boolean
   }
 }, {
   timestamps: true
@@ -76,10 +138,43 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ purgeAt: 1 }, { sparse: true });
+
+// Start email verification; returns the token to email (only its hash is kept)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = randomToken();
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  return token;
+};
+
+// Start a password reset; returns the token to email (only its hash is kept)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = randomToken();
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  return token;
+};
+
+// Find the user an unexpired emailed token belongs to. `type` is
+// 'emailVerification' or 'passwordReset'.
+userSchema.statics.findByEmailToken = function(type, token) {
+  return this.findOne({
+    [`${type}Token`]: hashToken(token),
+    [`${type}Expires`]: { $gt: new Date() }
+  });
+};
+
 // Remove password from JSON response
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
   return user;
 };
 
@@ -1,8 +1,16 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { protect, admin } = require('../middleware/auth');
+const validate = require('../middleware/validate');
 const User = require('../models/User');
 const Expense = require('../models/Expense');
+const ExpenseHistory = require('../models/ExpenseHistory');
+const ExchangeRate = require('../models/ExchangeRate');
+const CURRENCIES = require('../utils/currencies');
+const { convertedDailyTotals, convertedIncomeTotals, groupTotals, saveRates } = require('../services/currency');
+const { cashFlow, mergeCashFlow } = require('../utils/cashflow');
+const { revokeAllSessions } = require('../services/token');
+const { scheduleAccountDeletion, restoreAccount, purgeAccount } = require('../services/trash');
 
 const router = express.Router();
 
@@ -28,12 +36,38 @@ const updateUserValidation = [
     .withMessage('Monthly budget must be a positive number'),
   body('currency')
     .optional()
-    .isIn(['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD'])
+    .isIn(CURRENCIES)
     .withMessage('Invalid currency'),
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean')
+    .withMessage('isActive must be a boolean'),
+  body('approvers')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Approvers must be an array of at most 10 user ids'),
+  body('approvers.*')
+    .isMongoId()
+    .withMessage('Invalid approver id'),
+  validate
+];
+
+const exchangeRateValidation = [
+  body('date')
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  body('base')
+    .optional()
+    .isIn(CURRENCIES)
+    .withMessage('Invalid base currency'),
+  body('rates')
+    .isObject()
+    .withMessage('Rates must be an object of currency codes to rates'),
+  body('rates')
+    .custom(rates => Object.keys(rates).every(code => CURRENCIES.includes(code)) &&
+      Object.values(rates).every(rate => typeof rate === 'number' && rate > 0))
+    .withMessage('Rates must map supported currencies to positive numbers'),
+  validate
 ];
 
 // Apply authentication and admin middleware to all routes
@@ -47,51 +81,64 @@ router.get('/dashboard', async (req, res) => {
   try {
     const totalUsers = await User.countDocuments({ role: 'user' });
     const activeUsers = await User.countDocuments({ role: 'user', isActive: true });
-    const totalExpenses = await Expense.aggregate([
-      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
-    ]);
-    const expensesByCategory = await Expense.aggregate([
-      { $group: { _id: '$category', total: { $sum: '$amount' }, count: { $sum: 1 } } },
-      { $sort: { total: -1 } }
-    ]);
+    // Totals across users are reported in one currency (?currency=, else the admin's)
+    const currency = CURRENCIES.includes(req.query.currency) ? req.query.currency : req.user.currency;
+    // Cancelled (and rejected) expenses are left out, as they are in the stats
+    const { rows, missingRates } = await convertedDailyTotals({ status: { $ne: 'cancelled' } }, { category: '$category' }, currency);
+    const totalExpenses = groupTotals(rows);
+    const expensesByCategory = groupTotals(rows, row => row.key.category)
+      .sort((a, b) => b.total - a.total);
     const recentUsers = await User.find({ role: 'user' })
       .select('name email createdAt lastLogin')
       .sort({ createdAt: -1 })
       .limit(5);
     const recentExpenses = await Expense.find()
       .populate('user', 'name email')
-      .select('title amount category date user')
+      .select('title amount currency category date user')
       .sort({ date: -1 })
       .limit(5);
     const currentYear = new Date().getFullYear();
-    const monthlyExpenses = await Expense.aggregate([
-      {
-        $match: {
-          date: {
-            $gte: new Date(currentYear, 0, 1),
-            $lt: new Date(currentYear + 1, 0, 1)
-          }
-        }
-      },
-      {
-        $group: {
-          _id: { $month: '$date' },
-          total: { $sum: '$amount' },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { _id: 1 } }
-    ]);
+    const monthly = await convertedDailyTotals({
+      status: { $ne: 'cancelled' },
+      date: {
+        $gte: new Date(currentYear, 0, 1),
+        $lt: new Date(currentYear + 1, 0, 1)
+      }
+    }, {}, currency);
+    const monthlyExpenses = groupTotals(monthly.rows, row => row.date.getUTCMonth() + 1)
+      .sort((a, b) => a._id - b._id);
+    const income = await convertedIncomeTotals({}, {}, currency);
+    const totalIncome = groupTotals(income.rows)[0] || { total: 0, count: 0 };
+    const monthlyIncome = await convertedIncomeTotals({
+      date: {
+        $gte: new Date(currentYear, 0, 1),
+        $lt: new Date(currentYear + 1, 0, 1)
+      }
+    }, {}, currency);
+    const expenseTotal = totalExpenses[0] || { total: 0, count: 0 };
     return res.status(200).json({
       status: 'success',
       data: {
+        currency,
         totalUsers,
         activeUsers,
-        totalExpenses: totalExpenses[0] || { total: 0, count: 0 },
+        totalExpenses: expenseTotal,
         expensesByCategory,
         recentUsers,
         recentExpenses,
-        monthlyExpenses
+        monthlyExpenses,
+        totalIncome,
+        cashFlow: cashFlow(totalIncome.total, expenseTotal.total),
+        monthlyCashFlow: mergeCashFlow(
+          groupTotals(monthlyIncome.rows, row => row.date.getUTCMonth() + 1),
+          monthlyExpenses
+        ),
+        missingRates: [...new Set([
+          ...missingRates,
+          ...monthly.missingRates,
+          ...income.missingRates,
+          ...monthlyIncome.missingRates
+        ])]
       }
     });
   } catch (error) {
@@ -104,12 +151,12 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
-// @desc    Get all users (admin only)
+// @desc    Get all users (admin only; ?deleted=true for accounts awaiting purge)
 // @route   GET /api/admin/users
 // @access  Private/Admin
 router.get('/users', async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, role, isActive } = req.query;
+    const { page = 1, limit = 10, search, role, isActive, deleted } = req.query;
     const filter = {};
     if (search) {
       filter.$or = [
@@ -119,6 +166,7 @@ router.get('/users', async (req, res) => {
     }
     if (role) filter.role = role;
     if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (deleted !== undefined) filter.deletedAt = deleted === 'true' ? { $ne: null } : null;
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const users = await User.find(filter)
       .select('-password')
@@ -180,6 +228,16 @@ router.get('/users/:id', async (req, res) => {
 router.put('/users/:id', updateUserValidation, async (req, res) => {
   try {
     const { name, email, role, monthlyBudget, currency, isActive } = req.body;
+    const approvers = req.body.approvers && [...new Set(req.body.approvers.map(String))];
+    if (approvers) {
+      const found = await User.countDocuments({ _id: { $in: approvers }, isActive: true });
+      if (approvers.includes(req.params.id) || found !== approvers.length) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Approvers must be other active users'
+        });
+      }
+    }
     if (email) {
       const existingUser = await User.findOne({ email, _id: { $ne: req.params.id } });
       if (existingUser) {
@@ -191,7 +249,7 @@ router.put('/users/:id', updateUserValidation, async (req, res) => {
     }
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      { name, email, role, monthlyBudget, currency, isActive },
+      { name, email, role, monthlyBudget, currency, isActive, approvers },
       { new: true, runValidators: true }
     ).select('-password');
     if (!user) {
@@ -200,6 +258,9 @@ router.put('/users/:id', updateUserValidation, async (req, res) => {
         message: 'User not found'
       });
     }
+    if (user.isActive === false) {
+      await revokeAllSessions(user._id, 'deactivated');
+    }
     res.status(200).json({
       status: 'success',
       message: 'User updated successfully',
@@ -215,7 +276,8 @@ router.put('/users/:id', updateUserValidation, async (req, res) => {
   }
 });
 
-// @desc    Delete user (admin only)
+// @desc    Delete user (admin only). Purged after the grace period, or at
+//          once with ?permanent=true
 // @route   DELETE /api/admin/users/:id
 // @access  Private/Admin
 router.delete('/users/:id', async (req, res) => {
@@ -233,10 +295,19 @@ router.delete('/users/:id', async (req, res) => {
         message: 'Cannot delete your own account'
       });
     }
-    await user.deleteOne();
+    if (req.query.permanent === 'true') {
+      const { expenses } = await purgeAccount(user);
+      return res.status(200).json({
+        status: 'success',
+        message: 'User permanently deleted',
+        data: { deletedExpenses: expenses }
+      });
+    }
+    await scheduleAccountDeletion(user, req.user);
     res.status(200).json({
       status: 'success',
-      message: 'User deleted successfully'
+      message: 'User scheduled for deletion',
+      data: { purgeAt: user.purgeAt }
     });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -248,6 +319,40 @@ router.delete('/users/:id', async (req, res) => {
   }
 });
 
+// @desc    Restore a user scheduled for deletion (admin only)
+// @route   POST /api/admin/users/:id/restore
+// @access  Private/Admin
+router.post('/users/:id/restore', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+    if (!user.deletedAt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User is not scheduled for deletion'
+      });
+    }
+    await restoreAccount(user);
+    res.status(200).json({
+      status: 'success',
+      message: 'User restored successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Restore user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to restore user',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Get all expenses (admin only)
 // @route   GET /api/admin/expenses
 // @access  Private/Admin
@@ -302,4 +407,107 @@ router.get('/expenses', async (req, res) => {
   }
 });
 
+// @desc    Audit log of expense changes (?actorRole=admin&actorId=&userId=&action=)
+// @route   GET /api/admin/expense-history
+// @access  Private/Admin
+router.get('/expense-history', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, actorRole, actorId, userId, action } = req.query;
+    const filter = {};
+    if (actorRole) filter.actorRole = actorRole;
+    if (actorId) filter.actor = actorId;
+    if (userId) filter.user = userId;
+    if (action) filter.action = action;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const entries = await ExpenseHistory.find(filter)
+      .populate('actor', 'name email role')
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await ExpenseHistory.countDocuments(filter);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        history: entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get expense history error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get expense history',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get exchange rates
+// @route   GET /api/admin/exchange-rates
+// @access  Private/Admin
+router.get('/exchange-rates', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, currency, startDate, endDate } = req.query;
+    const filter = {};
+    if (currency) filter.currency = currency;
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const rates = await ExchangeRate.find(filter)
+      .sort({ date: -1, currency: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await ExchangeRate.countDocuments(filter);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        rates,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get exchange rates',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Add or replace one day's exchange rates
+// @route   POST /api/admin/exchange-rates
+// @access  Private/Admin
+router.post('/exchange-rates', exchangeRateValidation, async (req, res) => {
+  try {
+    const { date, base, rates } = req.body;
+    const saved = await saveRates({ date, base, rates, source: 'manual' });
+    res.status(201).json({
+      status: 'success',
+      message: `${saved} exchange rate(s) saved successfully`
+    });
+  } catch (error) {
+    console.error('Save exchange rates error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save exchange rates',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
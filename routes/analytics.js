@@ -0,0 +1,179 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { organizationContext } = require('../middleware/organization');
+const { expenseScope } = require('../services/permission');
+const analytics = require('../services/analytics');
+
+const router = express.Router();
+
+// Validation middleware
+const rangeValidation = [
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format')
+];
+
+const compareValidation = query('compare')
+  .optional()
+  .isIn(analytics.COMPARISONS)
+  .withMessage(`compare must be one of: ${analytics.COMPARISONS.join(', ')}`);
+
+// Apply authentication to all routes, and count the organization's expenses
+// when the request picks one
+router.use(protect, organizationContext);
+
+// @desc    Totals for a range next to the previous period (?compare=previous|year)
+// @route   GET /api/analytics/summary
+// @access  Private
+router.get('/summary', [...rangeValidation, compareValidation, validate], async (req, res) => {
+  try {
+    const currency = (req.organization || req.user).currency;
+    const result = await analytics.summary(expenseScope(req.user, req.organization), {
+      range: analytics.parseRange(req.query),
+      currency,
+      compare: req.query.compare
+    });
+    res.status(200).json({
+      status: 'success',
+      data: { currency, ...result }
+    });
+  } catch (error) {
+    console.error('Get spending summary error:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Failed to get spending summary',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Spending per day, week, month or year (?granularity=&compare=)
+// @route   GET /api/analytics/timeseries
+// @access  Private
+router.get('/timeseries', [
+  ...rangeValidation,
+  query('granularity')
+    .optional()
+    .isIn(analytics.GRANULARITIES)
+    .withMessage(`granularity must be one of: ${analytics.GRANULARITIES.join(', ')}`),
+  compareValidation,
+  validate
+], async (req, res) => {
+  try {
+    const currency = (req.organization || req.user).currency;
+    const granularity = req.query.granularity || 'month';
+    const result = await analytics.timeSeries(expenseScope(req.user, req.organization), {
+      range: analytics.parseRange(req.query, granularity),
+      granularity,
+      currency,
+      compare: req.query.compare
+    });
+    res.status(200).json({
+      status: 'success',
+      data: { currency, ...result }
+    });
+  } catch (error) {
+    console.error('Get spending over time error:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Failed to get spending over time',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Spending by category, payment method, tag or location (?by=&compare=)
+// @route   GET /api/analytics/breakdown
+// @access  Private
+router.get('/breakdown', [
+  ...rangeValidation,
+  query('by')
+    .optional()
+    .isIn(analytics.BREAKDOWNS)
+    .withMessage(`by must be one of: ${analytics.BREAKDOWNS.join(', ')}`),
+  compareValidation,
+  validate
+], async (req, res) => {
+  try {
+    const currency = (req.organization || req.user).currency;
+    const result = await analytics.breakdown(expenseScope(req.user, req.organization), {
+      range: analytics.parseRange(req.query),
+      by: req.query.by || 'category',
+      currency,
+      compare: req.query.compare
+    });
+    res.status(200).json({
+      status: 'success',
+      data: { currency, ...result }
+    });
+  } catch (error) {
+    console.error('Get spending breakdown error:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Failed to get spending breakdown',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Spending by day of the week and a daily calendar grid
+// @route   GET /api/analytics/heatmap
+// @access  Private
+router.get('/heatmap', [...rangeValidation, validate], async (req, res) => {
+  try {
+    const currency = (req.organization || req.user).currency;
+    const result = await analytics.heatmap(expenseScope(req.user, req.organization), {
+      range: analytics.parseRange(req.query),
+      currency
+    });
+    res.status(200).json({
+      status: 'success',
+      data: { currency, ...result }
+    });
+  } catch (error) {
+    console.error('Get spending heatmap error:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Failed to get spending heatmap',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Where the most money goes (location, or title when there is none)
+// @route   GET /api/analytics/top-merchants
+// @access  Private
+router.get('/top-merchants', [
+  ...rangeValidation,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt(),
+  validate
+], async (req, res) => {
+  try {
+    const currency = (req.organization || req.user).currency;
+    const result = await analytics.topMerchants(expenseScope(req.user, req.organization), {
+      range: analytics.parseRange(req.query),
+      currency,
+      limit: req.query.limit
+    });
+    res.status(200).json({
+      status: 'success',
+      data: { currency, ...result }
+    });
+  } catch (error) {
+    console.error('Get top merchants error:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Failed to get top merchants',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const Expense = require('../models/Expense');
+const ExpenseHistory = require('../models/ExpenseHistory');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { TRANSITIONS, canDecide, transition } = require('../services/approval');
+
+const router = express.Router();
+
+const STATES = ['submitted', 'approved', 'rejected', 'withdrawn'];
+
+// Validation middleware
+const commentValidation = [
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comment cannot exceed 500 characters'),
+  validate
+];
+
+// Load the expense from :id. Who may act on it is checked by each step.
+const loadExpense = async (req, res, next) => {
+  try {
+    const expense = await Expense.findById(req.params.id);
+    if (!expense) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Expense not found'
+      });
+    }
+    req.expense = expense;
+    next();
+  } catch (error) {
+    console.error('Load expense error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get expense',
+      error: error.message
+    });
+  }
+};
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Expenses waiting for the user's decision, oldest submission first
+//          (every submitted expense, for admins)
+// @route   GET /api/approvals/queue
+// @access  Private
+router.get('/queue', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const filter = { 'approval.state': 'submitted', user: { $ne: req.user._id } };
+    if (req.user.role !== 'admin') filter['approval.approvers'] = req.user._id;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const expenses = await Expense.find(filter)
+      .sort({ 'approval.submittedAt': 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('user', 'name email');
+    const total = await Expense.countDocuments(filter);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        expenses,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get approval queue error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get approval queue',
+      error: error.message
+    });
+  }
+});
+
+// @desc    The user's own expenses in the workflow (?state=)
+// @route   GET /api/approvals/mine
+// @access  Private
+router.get('/mine', [
+  query('state')
+    .optional()
+    .isIn(STATES)
+    .withMessage(`state must be one of: ${STATES.join(', ')}`),
+  validate
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 10, state } = req.query;
+    const filter = { user: req.user._id, 'approval.state': state || { $exists: true } };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const expenses = await Expense.find(filter)
+      .sort({ 'approval.submittedAt': -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('approval.decidedBy', 'name email');
+    const total = await Expense.countDocuments(filter);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        expenses,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get my approvals error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get approvals',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get an expense with its approval steps, oldest first
+// @route   GET /api/approvals/:id
+// @access  Private (owner, its approvers and admins)
+router.get('/:id', loadExpense, async (req, res) => {
+  try {
+    const expense = req.expense;
+    const isOwner = expense.user.toString() === req.user.id;
+    if (!isOwner && !(expense.approval && expense.approval.state && canDecide(expense, req.user))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access this expense'
+      });
+    }
+    const steps = await ExpenseHistory.find({ expense: expense._id, action: { $in: Object.keys(TRANSITIONS) } })
+      .sort({ createdAt: 1 })
+      .select('action actor actorRole comment changes createdAt')
+      .populate('actor', 'name email');
+    await expense.populate('user', 'name email');
+    res.status(200).json({
+      status: 'success',
+      data: { expense, steps }
+    });
+  } catch (error) {
+    console.error('Get approval error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get approval',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Submit a reimbursable expense for approval
+// @route   POST /api/approvals/:id/submit
+// @access  Private (owner)
+router.post('/:id/submit', loadExpense, commentValidation, async (req, res) => {
+  try {
+    const expense = await transition(req.expense, 'submit', req.user, req.body.comment);
+    res.status(200).json({
+      status: 'success',
+      message: 'Expense submitted for approval',
+      data: { expense }
+    });
+  } catch (error) {
+    console.error('Submit expense error:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Failed to submit expense',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Withdraw a submitted expense so it can be edited again
+// @route   POST /api/approvals/:id/withdraw
+// @access  Private (owner)
+router.post('/:id/withdraw', loadExpense, commentValidation, async (req, res) => {
+  try {
+    const expense = await transition(req.expense, 'withdraw', req.user, req.body.comment);
+    res.status(200).json({
+      status: 'success',
+      message: 'Expense withdrawn from approval',
+      data: { expense }
+    });
+  } catch (error) {
+    console.error('Withdraw expense error:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Failed to withdraw expense',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Approve a submitted expense
+// @route   POST /api/approvals/:id/approve
+// @access  Private (designated approvers, or admins)
+router.post('/:id/approve', loadExpense, commentValidation, async (req, res) => {
+  try {
+    const expense = await transition(req.expense, 'approve', req.user, req.body.comment);
+    res.status(200).json({
+      status: 'success',
+      message: 'Expense approved',
+      data: { expense }
+    });
+  } catch (error) {
+    console.error('Approve expense error:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Failed to approve expense',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Reject a submitted expense (comment required)
+// @route   POST /api/approvals/:id/reject
+// @access  Private (designated approvers, or admins)
+router.post('/:id/reject', loadExpense, commentValidation, async (req, res) => {
+  try {
+    const expense = await transition(req.expense, 'reject', req.user, req.body.comment);
+    res.status(200).json({
+      status: 'success',
+      message: 'Expense rejected',
+      data: { expense }
+    });
+  } catch (error) {
+    console.error('Reject expense error:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Failed to reject expense',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
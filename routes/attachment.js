@@ -0,0 +1,172 @@
+const express = require('express');
+const Expense = require('../models/Expense');
+const { attachmentUpload } = require('../middleware/upload');
+const { getStorage } = require('../services/storage');
+const { MAX_ATTACHMENTS, addAttachments, removeAttachment } = require('../services/attachment');
+const { authorizeExpense } = require('../services/permission');
+const { approvalLock } = require('../services/approval');
+
+// Mounted under /api/expenses/:id/attachments, behind protect
+const router = express.Router({ mergeParams: true });
+
+// Load the expense from :id and check the user may see it, or change it for
+// anything but a GET. Receipts of an expense under approval are part of
+// what is signed off, so they cannot be changed then.
+const loadExpense = async (req, res, next) => {
+  try {
+    const expense = await Expense.findById(req.params.id);
+    if (!expense) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Expense not found'
+      });
+    }
+    if (!await authorizeExpense(req.user, expense, req.method === 'GET' ? 'read' : 'update')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access this expense'
+      });
+    }
+    const locked = req.method !== 'GET' && approvalLock(expense);
+    if (locked) {
+      return res.status(400).json({
+        status: 'error',
+        message: locked
+      });
+    }
+    req.expense = expense;
+    next();
+  } catch (error) {
+    console.error('Load expense error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get expense',
+      error: error.message
+    });
+  }
+};
+
+const findAttachment = (req, res) => {
+  const attachment = req.expense.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Attachment not found'
+    });
+  }
+  return attachment;
+};
+
+router.use(loadExpense);
+
+// @desc    Get attachments of an expense
+// @route   GET /api/expenses/:id/attachments
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: { attachments: req.expense.attachments }
+    });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get attachments',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Upload attachments (multipart "files", up to 5 per request)
+// @route   POST /api/expenses/:id/attachments
+// @access  Private
+router.post('/', attachmentUpload, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please upload at least one file'
+      });
+    }
+    if (req.expense.attachments.length + req.files.length > MAX_ATTACHMENTS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `An expense cannot have more than ${MAX_ATTACHMENTS} attachments`
+      });
+    }
+    const attachments = await addAttachments(req.expense, req.files);
+    res.status(201).json({
+      status: 'success',
+      message: 'Attachments uploaded successfully',
+      data: { attachments }
+    });
+  } catch (error) {
+    console.error('Upload attachments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to upload attachments',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Download attachment
+// @route   GET /api/expenses/:id/attachments/:attachmentId/download
+// @access  Private
+router.get('/:attachmentId/download', async (req, res) => {
+  try {
+    const attachment = findAttachment(req, res);
+    if (!attachment) return;
+    const download = await getStorage(attachment.storage).getDownload(attachment);
+    if (download.url) {
+      return res.redirect(download.url);
+    }
+    res.attachment(attachment.filename);
+    res.type(attachment.mimetype);
+    download.stream.on('error', (error) => {
+      console.error('Stream attachment error:', error);
+      res.destroy(error);
+    });
+    download.stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Attachment file not found'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to download attachment',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete attachment
+// @route   DELETE /api/expenses/:id/attachments/:attachmentId
+// @access  Private
+router.delete('/:attachmentId', async (req, res) => {
+  try {
+    const attachment = findAttachment(req, res);
+    if (!attachment) return;
+    await removeAttachment(attachment);
+    attachment.deleteOne();
+    await req.expense.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete attachment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,25 @@
 const express = require('express');
 const { body } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const CURRENCIES = require('../utils/currencies');
 const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/token');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} = require('../services/email');
+const { restoreAccount } = require('../services/trash');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
-  });
-};
-
 // Validation middleware
 const registerValidation = [
   body('name')
@@ -32,7 +39,7 @@ const registerValidation = [
     .withMessage('Monthly budget must be a positive number'),
   body('currency')
     .optional()
-    .isIn(['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD'])
+    .isIn(CURRENCIES)
     .withMessage('Invalid currency')
 ];
 
@@ -71,8 +78,17 @@ router.post('/register', registerValidation, async (req, res) => {
       currency: currency || 'USD'
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Ask the user to confirm their email; registration succeeds regardless
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (error) {
+      console.error('Send verification email error:', error);
+    }
+
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       status: 'success',
@@ -85,9 +101,11 @@ router.post('/register', registerValidation, async (req, res) => {
           role: user.role,
           monthlyBudget: user.monthlyBudget,
           currency: user.currency,
-          avatar: user.avatar
+          avatar: user.avatar,
+          emailVerified: user.emailVerified
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -125,6 +143,14 @@ router.post('/login', loginValidation, async (req, res) => {
       });
     }
 
+    // Deleted accounts can be restored until they are purged
+    if (user.deletedAt) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is scheduled for deletion. Use /api/auth/restore-account to restore it.'
+      });
+    }
+
     // Check if user is active
     if (!user.isActive) {
       return res.status(401).json({
@@ -137,8 +163,8 @@ router.post('/login', loginValidation, async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       status: 'success',
@@ -152,9 +178,11 @@ router.post('/login', loginValidation, async (req, res) => {
           monthlyBudget: user.monthlyBudget,
           currency: user.currency,
           avatar: user.avatar,
+          emailVerified: user.emailVerified,
           lastLogin: user.lastLogin
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -209,8 +237,8 @@ router.post('/admin-login', loginValidation, async (req, res) => {
       await adminUser.save();
     }
 
-    // Generate token
-    const token = generateToken(adminUser._id);
+    // Start a session
+    const { token, refreshToken } = await createSession(adminUser, req);
 
     res.status(200).json({
       status: 'success',
@@ -224,9 +252,11 @@ router.post('/admin-login', loginValidation, async (req, res) => {
           monthlyBudget: adminUser.monthlyBudget,
           currency: adminUser.currency,
           avatar: adminUser.avatar,
+          emailVerified: adminUser.emailVerified,
           lastLogin: adminUser.lastLogin
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -239,6 +269,74 @@ router.post('/admin-login', loginValidation, async (req, res) => {
   }
 });
 
+// @desc    Restore an account scheduled for deletion and log in
+// @route   POST /api/auth/restore-account
+// @access  Public
+router.post('/restore-account', loginValidation, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const user = await User.findOne({ email }).select('+password');
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid email or password'
+      });
+    }
+    if (!user.deletedAt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Account is not scheduled for deletion'
+      });
+    }
+    // Only the owner's own deletions can be undone here; an admin's deletion
+    // is restored by an admin
+    if (user.deletedBy && !user.deletedBy.equals(user._id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'This account was deleted by an administrator. Please contact support to restore it.'
+      });
+    }
+
+    await restoreAccount(user);
+    if (!user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account restored, but it is deactivated. Please contact support.'
+      });
+    }
+    user.lastLogin = new Date();
+    await user.save();
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account restored successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          monthlyBudget: user.monthlyBudget,
+          currency: user.currency,
+          avatar: user.avatar,
+          emailVerified: user.emailVerified,
+          lastLogin: user.lastLogin
+        },
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Restore account error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to restore account',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -257,6 +355,7 @@ router.get('/me', protect, async (req, res) => {
           monthlyBudget: user.monthlyBudget,
           currency: user.currency,
           avatar: user.avatar,
+          emailVerified: user.emailVerified,
           lastLogin: user.lastLogin,
           createdAt: user.createdAt
         }
@@ -272,11 +371,222 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
-// @desc    Logout user
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+router.post('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findByEmailToken('emailVerification', req.params.token);
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to verify email',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email is already verified'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to send verification email',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  validate
+], async (req, res) => {
+  try {
+    // Same answer whether or not the account exists, so this cannot be used
+    // to discover registered emails
+    const response = {
+      status: 'success',
+      message: 'If an account exists for this email, a reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.isActive) {
+      return res.status(200).json(response);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (error) {
+      console.error('Send password reset email error:', error);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to process password reset request',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Set a new password with an emailed reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  validate
+], async (req, res) => {
+  try {
+    const user = await User.findByEmailToken('passwordReset', req.params.token);
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+    if (!user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Following the emailed link proves the address is theirs
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password_change');
+    const { token, refreshToken } = await createSession(user, req);
+    sendPasswordChangedEmail(user)
+      .catch(error => console.error('Send password changed email error:', error));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password reset successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reset password',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  validate
+], async (req, res) => {
+  try {
+    const { session, token, refreshToken } = await rotateRefreshToken(req.body.refreshToken);
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await revokeSession(session._id, 'deactivated');
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 router.post('/logout', protect, async (req, res) => {
   try {
+    await revokeSession(req.sessionId, 'logout');
     res.status(200).json({
       status: 'success',
       message: 'Logged out successfully'
@@ -291,4 +601,85 @@ router.post('/logout', protect, async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// @desc    Logout from every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, 'logout_all');
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out from all devices',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Logout failed',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip lastUsedAt expiresAt createdAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session._id.equals(req.sessionId)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get sessions',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Revoke one session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+    await revokeSession(session._id, 'logout');
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
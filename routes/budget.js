@@ -0,0 +1,247 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Budget = require('../models/Budget');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { validateCategory } = require('../middleware/category');
+const { getBudgetHistory, getBudgetStatus, getMonthlyBudgetStatus } = require('../services/budget');
+const { canAccessOwned } = require('../services/permission');
+
+const router = express.Router();
+
+// Validation middleware
+const budgetFieldValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Name cannot exceed 50 characters'),
+  body('scope')
+    .optional()
+    .isIn(['overall', 'category', 'tag'])
+    .withMessage('Invalid budget scope'),
+  body('tag')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Tag must be between 1 and 20 characters'),
+  body('period')
+    .optional()
+    .isIn(['weekly', 'monthly', 'yearly'])
+    .withMessage('Invalid budget period'),
+  body('rollover')
+    .optional()
+    .isBoolean()
+    .withMessage('rollover must be a boolean'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date format'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const createBudgetValidation = [
+  body('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Budget amount must be a positive number'),
+  ...budgetFieldValidation,
+  validate,
+  validateCategory
+];
+
+const updateBudgetValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Budget amount must be a positive number'),
+  ...budgetFieldValidation,
+  validate,
+  validateCategory
+];
+
+// Number of periods requested via ?periods=, capped at 24
+const parsePeriods = (value, fallback) => {
+  const periods = parseInt(value) || fallback;
+  return Math.min(Math.max(periods, 1), 24);
+};
+
+// Load the budget from :id and check ownership
+const loadBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.findById(req.params.id);
+    if (!budget) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Budget not found'
+      });
+    }
+    if (!canAccessOwned(req.user, budget)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access this budget'
+      });
+    }
+    req.budget = budget;
+    next();
+  } catch (error) {
+    console.error('Load budget error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get budget',
+      error: error.message
+    });
+  }
+};
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Get all budgets with budget vs. actual for the current period
+// @route   GET /api/budgets
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    const budgets = await Budget.find(filter).sort({ scope: 1, category: 1, tag: 1 });
+    const results = await Promise.all(budgets.map(async budget => ({
+      budget,
+      current: await getBudgetStatus(budget, { currency: req.user.currency })
+    })));
+    const monthlyBudget = req.user.monthlyBudget > 0
+      ? await getMonthlyBudgetStatus(req.user)
+      : null;
+    res.status(200).json({
+      status: 'success',
+      data: {
+        budgets: results,
+        monthlyBudget
+      }
+    });
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get budgets',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Create budget
+// @route   POST /api/budgets
+// @access  Private
+router.post('/', createBudgetValidation, async (req, res) => {
+  try {
+    const { name, scope, category, tag, amount, period, rollover, startDate } = req.body;
+    const budget = await Budget.create({
+      user: req.user.id,
+      name,
+      scope,
+      category: scope === 'category' || scope === undefined ? category : undefined,
+      tag: scope === 'tag' ? tag : undefined,
+      amount,
+      period,
+      rollover,
+      startDate
+    });
+    res.status(201).json({
+      status: 'success',
+      message: 'Budget created successfully',
+      data: {
+        budget,
+        current: await getBudgetStatus(budget, { currency: req.user.currency })
+      }
+    });
+  } catch (error) {
+    console.error('Create budget error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to create budget',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get budget with budget vs. actual for current and past periods
+// @route   GET /api/budgets/:id
+// @access  Private
+router.get('/:id', loadBudget, async (req, res) => {
+  try {
+    const history = await getBudgetHistory(req.budget, {
+      periods: parsePeriods(req.query.periods, 6),
+      currency: req.user.currency
+    });
+    res.status(200).json({
+      status: 'success',
+      data: {
+        budget: req.budget,
+        current: history[0],
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get budget error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get budget',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update budget
+// @route   PUT /api/budgets/:id
+// @access  Private
+router.put('/:id', loadBudget, updateBudgetValidation, async (req, res) => {
+  try {
+    const { name, scope, category, tag, amount, period, rollover, startDate, isActive } = req.body;
+    const updates = { name, scope, category, tag, amount, period, rollover, startDate, isActive };
+    Object.keys(updates).forEach(key => {
+      if (updates[key] !== undefined) req.budget[key] = updates[key];
+    });
+    if (req.budget.scope !== 'category') req.budget.category = undefined;
+    if (req.budget.scope !== 'tag') req.budget.tag = undefined;
+    await req.budget.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Budget updated successfully',
+      data: {
+        budget: req.budget,
+        current: await getBudgetStatus(req.budget, { currency: req.user.currency })
+      }
+    });
+  } catch (error) {
+    console.error('Update budget error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to update budget',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete budget
+// @route   DELETE /api/budgets/:id
+// @access  Private
+router.delete('/:id', loadBudget, async (req, res) => {
+  try {
+    await req.budget.deleteOne();
+    res.status(200).json({
+      status: 'success',
+      message: 'Budget deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete budget',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
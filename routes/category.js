@@ -0,0 +1,323 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+  findCategory,
+  listCategories,
+  reassignCategory,
+  buildTree
+} = require('../services/category');
+const { canAccessOwned } = require('../services/permission');
+const { FALLBACK_CATEGORY } = require('../utils/categories');
+
+const router = express.Router();
+
+// Validation middleware
+const categoryFieldValidation = [
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #1e88e5'),
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Icon cannot exceed 30 characters'),
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent category')
+];
+
+const createCategoryValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Category name must be between 1 and 30 characters'),
+  ...categoryFieldValidation,
+  validate
+];
+
+const updateCategoryValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Category name must be between 1 and 30 characters'),
+  ...categoryFieldValidation,
+  validate
+];
+
+// Load a custom category from :id and check ownership. System categories
+// are shared and cannot be changed.
+const loadCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Category not found'
+      });
+    }
+    if (category.isSystem) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'System categories cannot be modified'
+      });
+    }
+    if (!canAccessOwned(req.user, category)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access this category'
+      });
+    }
+    req.category = category;
+    next();
+  } catch (error) {
+    console.error('Load category error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get category',
+      error: error.message
+    });
+  }
+};
+
+// Resolve a parent id to a top-level category visible to the owner.
+// Returns an error message when the parent is not allowed.
+const checkParent = async (parentId, ownerId, category) => {
+  if (!parentId) return null;
+  const parent = await Category.findOne({
+    _id: parentId,
+    $or: [{ user: null }, { user: ownerId }]
+  });
+  if (!parent) return 'Parent category not found';
+  if (parent.parent) return 'Subcategories cannot have children';
+  if (category) {
+    if (parent._id.equals(category._id)) return 'A category cannot be its own parent';
+    const hasChildren = await Category.exists({ parent: category._id });
+    if (hasChildren) return 'A category with subcategories cannot become a subcategory';
+  }
+  return null;
+};
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Get system and custom categories with usage counts (?tree=true nests subcategories)
+// @route   GET /api/categories
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const [categories, usage] = await Promise.all([
+      listCategories(req.user._id).lean(),
+      Expense.aggregate([
+        { $match: { user: req.user._id } },
+        { $group: { _id: { $toLower: '$category' }, count: { $sum: 1 } } }
+      ])
+    ]);
+    const counts = new Map(usage.map(entry => [entry._id, entry.count]));
+    categories.forEach(category => {
+      category.expenseCount = counts.get(category.name.toLowerCase()) || 0;
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        categories: req.query.tree === 'true' ? buildTree(categories) : categories
+      }
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get categories',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Create custom category
+// @route   POST /api/categories
+// @access  Private
+router.post('/', createCategoryValidation, async (req, res) => {
+  try {
+    const { name, color, icon, parent } = req.body;
+    if (await findCategory(req.user._id, name)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A category with this name already exists'
+      });
+    }
+    const parentError = await checkParent(parent, req.user._id);
+    if (parentError) {
+      return res.status(400).json({
+        status: 'error',
+        message: parentError
+      });
+    }
+
+    const category = await Category.create({
+      user: req.user.id,
+      name,
+      color,
+      icon,
+      parent: parent || null
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Category created successfully',
+      data: { category }
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to create category',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update custom category (renaming also renames its expenses)
+// @route   PUT /api/categories/:id
+// @access  Private
+router.put('/:id', loadCategory, updateCategoryValidation, async (req, res) => {
+  try {
+    const { name, color, icon, parent } = req.body;
+    const category = req.category;
+    const previousName = category.name;
+
+    if (name !== undefined && name.toLowerCase() !== previousName.toLowerCase()) {
+      if (await findCategory(category.user, name)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'A category with this name already exists'
+        });
+      }
+    }
+    if (parent !== undefined) {
+      const parentError = await checkParent(parent, category.user, category);
+      if (parentError) {
+        return res.status(400).json({
+          status: 'error',
+          message: parentError
+        });
+      }
+      category.parent = parent || null;
+    }
+    if (name !== undefined) category.name = name;
+    if (color !== undefined) category.color = color;
+    if (icon !== undefined) category.icon = icon;
+    await category.save();
+
+    let reassigned = null;
+    if (category.name !== previousName) {
+      reassigned = await reassignCategory(category.user, previousName, category.name);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Category updated successfully',
+      data: { category, reassigned }
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to update category',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete custom category, moving its expenses to ?reassignTo= (default Other)
+// @route   DELETE /api/categories/:id
+// @access  Private
+router.delete('/:id', loadCategory, async (req, res) => {
+  try {
+    const category = req.category;
+    const target = await findCategory(category.user, req.query.reassignTo || FALLBACK_CATEGORY);
+    if (!target || target._id.equals(category._id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid category to reassign expenses to'
+      });
+    }
+
+    const reassigned = await reassignCategory(category.user, category.name, target.name);
+    // Subcategories move up to the deleted category's parent
+    await Category.updateMany({ parent: category._id }, { parent: category.parent || null });
+    await category.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Category deleted successfully',
+      data: { reassignedTo: target.name, reassigned }
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete category',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Merge a custom category into another one
+// @route   POST /api/categories/:id/merge
+// @access  Private
+router.post('/:id/merge', loadCategory, [
+  body('into')
+    .trim()
+    .notEmpty()
+    .withMessage('Category to merge into is required'),
+  validate
+], async (req, res) => {
+  try {
+    const category = req.category;
+    const into = mongoose.isValidObjectId(req.body.into)
+      ? await Category.findOne({ _id: req.body.into, $or: [{ user: null }, { user: category.user }] })
+      : await findCategory(category.user, req.body.into);
+    if (!into || into._id.equals(category._id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid category to merge into'
+      });
+    }
+
+    const reassigned = await reassignCategory(category.user, category.name, into.name);
+    // Subcategories follow into the merged category, or its parent when it
+    // is a subcategory itself (only one level of nesting is allowed)
+    if (into.parent && into.parent.equals(category._id)) {
+      into.parent = category.parent || null;
+      await into.save();
+    }
+    await Category.updateMany(
+      { parent: category._id, _id: { $ne: into._id } },
+      { parent: into.parent || into._id }
+    );
+    await category.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Categories merged successfully',
+      data: { category: into, reassigned }
+    });
+  } catch (error) {
+    console.error('Merge category error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to merge categories',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
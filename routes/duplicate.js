@@ -0,0 +1,178 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const Expense = require('../models/Expense');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { approvalLock } = require('../services/approval');
+const { MAX_ATTACHMENTS } = require('../services/attachment');
+const { findDuplicatePairs, mergeExpenses, dismissPair } = require('../services/duplicate');
+
+const router = express.Router();
+
+// Most expenses checked for duplicates at once, and merged into one
+const MAX_SCAN = 5000;
+const MAX_MERGE = 10;
+
+// Load the expenses with `ids` and check they can be merged or dismissed
+// by `user`. Returns { expenses } in the order of `ids`, or { status, message }.
+const loadOwnExpenses = async (ids, user) => {
+  const expenses = await Expense.find({ _id: { $in: ids } });
+  const byId = new Map(expenses.map(expense => [expense._id.toString(), expense]));
+  const ordered = ids.map(id => byId.get(String(id)));
+  if (ordered.some(expense => !expense)) {
+    return { status: 404, message: 'Expense not found' };
+  }
+  if (ordered.some(expense => expense.user.toString() !== user.id)) {
+    return { status: 403, message: 'Not authorized to change this expense' };
+  }
+  if (ordered.some(expense => expense.group)) {
+    return { status: 400, message: 'Shared expenses are edited through the group routes' };
+  }
+  return { expenses: ordered };
+};
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    List probable duplicate pairs, best matches first (default the last 90 days)
+// @route   GET /api/expenses/duplicates
+// @access  Private
+router.get('/', [
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  validate
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 10, startDate, endDate } = req.query;
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 90 * 24 * 60 * 60 * 1000);
+    const pairs = await findDuplicatePairs(req.user._id, start, end, MAX_SCAN);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        pairs: pairs.slice(skip, skip + parseInt(limit)),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(pairs.length / parseInt(limit)),
+          totalItems: pairs.length,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get duplicates error:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Failed to get duplicates',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Merge duplicates into the expense to keep (the others go to the trash)
+// @route   POST /api/expenses/duplicates/merge
+// @access  Private
+router.post('/merge', [
+  body('keep')
+    .isMongoId()
+    .withMessage('Expense to keep is required'),
+  body('merge')
+    .isArray({ min: 1, max: MAX_MERGE })
+    .withMessage(`merge must be an array of 1 to ${MAX_MERGE} expense ids`),
+  body('merge.*')
+    .isMongoId()
+    .withMessage('Invalid expense id'),
+  validate
+], async (req, res) => {
+  try {
+    const ids = [...new Set(req.body.merge.map(String))];
+    if (ids.includes(String(req.body.keep))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'An expense cannot be merged into itself'
+      });
+    }
+    const loaded = await loadOwnExpenses([req.body.keep, ...ids], req.user);
+    if (!loaded.expenses) {
+      return res.status(loaded.status).json({
+        status: 'error',
+        message: loaded.message
+      });
+    }
+    const locked = loaded.expenses.map(expense => approvalLock(expense)).find(Boolean);
+    if (locked) {
+      return res.status(400).json({
+        status: 'error',
+        message: locked
+      });
+    }
+    const [keep, ...others] = loaded.expenses;
+    const attachments = loaded.expenses.reduce((sum, expense) => sum + expense.attachments.length, 0);
+    if (attachments > MAX_ATTACHMENTS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `An expense cannot have more than ${MAX_ATTACHMENTS} attachments`
+      });
+    }
+    const expense = await mergeExpenses(keep, others, req.user);
+    res.status(200).json({
+      status: 'success',
+      message: `${others.length} expense(s) merged successfully`,
+      data: { expense, merged: ids }
+    });
+  } catch (error) {
+    console.error('Merge duplicates error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to merge expenses',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Mark two expenses as not duplicates of each other
+// @route   POST /api/expenses/duplicates/dismiss
+// @access  Private
+router.post('/dismiss', [
+  body('ids')
+    .isArray({ min: 2, max: 2 })
+    .withMessage('ids must hold the two expenses of the pair'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid expense id'),
+  validate
+], async (req, res) => {
+  try {
+    const [first, second] = req.body.ids.map(String);
+    if (first === second) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A pair needs two different expenses'
+      });
+    }
+    const loaded = await loadOwnExpenses([first, second], req.user);
+    if (!loaded.expenses) {
+      return res.status(loaded.status).json({
+        status: 'error',
+        message: loaded.message
+      });
+    }
+    await dismissPair(...loaded.expenses);
+    res.status(200).json({
+      status: 'success',
+      message: 'Expenses marked as not duplicates'
+    });
+  } catch (error) {
+    console.error('Dismiss duplicates error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to dismiss duplicates',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,53 @@
 const express = require('express');
 const { body } = require('express-validator');
 const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const ExpenseHistory = require('../models/ExpenseHistory');
 const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { validateCategory } = require('../middleware/category');
+const { organizationContext, requireOrganizationPermission } = require('../middleware/organization');
+const { csvUpload } = require('../middleware/upload');
+const { createSeriesFromExpense, updateThisAndFuture } = require('../services/recurring');
+const { checkBudgetThresholds } = require('../services/notification');
+const statementImport = require('../services/import');
+const { exporters, streamExport } = require('../services/export');
+const { MAX_BULK_OPERATIONS, WRITABLE_FIELDS, runBulkOperations } = require('../services/bulk');
+const history = require('../services/history');
+const { trashExpense, purgeDateOf } = require('../services/trash');
+const { flagAnomalies } = require('../services/anomaly');
+const { RULE_FIELDS, loadRules, evaluateRules } = require('../services/rules');
+const { flagDuplicates } = require('../services/duplicate');
+const { approvalLock } = require('../services/approval');
+const { authorizeExpense, expenseScope } = require('../services/permission');
+const { convertedDailyTotals, convertedIncomeTotals, groupTotals } = require('../services/currency');
+const { listCategoryNames } = require('../services/category');
+const {
+  buildExpenseFilter,
+  buildExpenseSort,
+  buildExpenseProjection
+} = require('../services/expenseFilter');
+const CURRENCIES = require('../utils/currencies');
+const { FALLBACK_CATEGORY } = require('../utils/categories');
+const { cashFlow, mergeCashFlow } = require('../utils/cashflow');
+const attachmentRoutes = require('./attachment');
 
 const router = express.Router();
 
+// Fields a client may set on an expense. Everything else (owner, group and
+// splits, trash state, flags, approval...) is managed by the server.
+const EXPENSE_FIELDS = [...WRITABLE_FIELDS, 'isRecurring', 'recurringType'];
+
+const pickExpenseFields = (data) => {
+  const picked = {};
+  EXPENSE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) picked[field] = data[field];
+  });
+  return picked;
+};
+
 // Validation middleware
-const expenseValidation = [
+const expenseFieldValidation = [
   body('title')
     .trim()
     .isLength({ min: 1, max: 100 })
@@ -14,24 +55,10 @@ const expenseValidation = [
   body('amount')
     .isFloat({ min: 0 })
     .withMessage('Amount must be a positive number'),
-  body('category')
-    .isIn([
-      'Food & Dining',
-      'Transportation',
-      'Shopping',
-      'Entertainment',
-      'Healthcare',
-      'Education',
-      'Housing',
-      'Utilities',
-      'Insurance',
-      'Travel',
-      'Gifts',
-      'Personal Care',
-      'Subscriptions',
-      'Other'
-    ])
-    .withMessage('Invalid category'),
+  body('currency')
+    .optional()
+    .isIn(CURRENCIES)
+    .withMessage('Invalid currency'),
   body('description')
     .optional()
     .trim()
@@ -70,26 +97,114 @@ const expenseValidation = [
   body('status')
     .optional()
     .isIn(['pending', 'completed', 'cancelled'])
-    .withMessage('Invalid status')
+    .withMessage('Invalid status'),
+  body('reimbursable')
+    .optional()
+    .isBoolean()
+    .withMessage('reimbursable must be a boolean')
+];
+
+const expenseValidation = [
+  ...expenseFieldValidation,
+  body('category')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Category is required'),
+  validate
 ];
 
-// Apply authentication to all routes
-router.use(protect);
+// New expenses may leave the category to the user's rules
+const createExpenseValidation = [
+  ...expenseFieldValidation,
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Invalid category'),
+  validate
+];
 
-// @desc    Create new expense
+const importValidation = [
+  body('mapping')
+    .customSanitizer(value => {
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    })
+    .isObject()
+    .withMessage('Mapping must be an object with date, amount and description columns'),
+  body('dateFormat')
+    .optional()
+    .matches(/^(ISO|(?=.*(YYYY|YY))(?=.*MM)(?=.*DD)[YMD./\- ]+)$/)
+    .withMessage('Date format must be ISO or use YYYY/YY, MM and DD'),
+  body('decimalSeparator')
+    .optional()
+    .isIn(['.', ','])
+    .withMessage('Decimal separator must be "." or ","'),
+  body('delimiter')
+    .optional()
+    .isIn([',', ';', '\t', '|'])
+    .withMessage('Delimiter must be one of , ; | or tab'),
+  body('hasHeader')
+    .optional()
+    .isBoolean()
+    .withMessage('hasHeader must be a boolean')
+    .toBoolean(),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(),
+  body('debitSign')
+    .optional()
+    .isIn(['any', 'negative', 'positive'])
+    .withMessage('debitSign must be any, negative or positive'),
+  body('defaultCategory')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Invalid default category'),
+  validate
+];
+
+// Apply authentication to all routes, and work in the organization the
+// request picks, if any
+router.use(protect, organizationContext);
+
+// Receipt uploads live in their own router
+router.use('/:id/attachments', attachmentRoutes);
+
+// @desc    Create new expense (the user's rules fill in what is not given)
 // @route   POST /api/expenses
 // @access  Private
-router.post('/', expenseValidation, async (req, res) => {
+router.post('/', requireOrganizationPermission('expenses:create'), createExpenseValidation, validateCategory, async (req, res) => {
   try {
-    const expenseData = {
-      ...req.body,
-      user: req.user.id
-    };
-    const expense = await Expense.create(expenseData);
+    const expense = new Expense({
+      ...pickExpenseFields(req.body),
+      currency: req.body.currency || (req.organization || req.user).currency,
+      user: req.user.id,
+      organization: req.organization && req.organization._id
+    });
+    const { set, matched } = evaluateRules(await loadRules(req.user._id), expense, {
+      keep: RULE_FIELDS.filter(field => req.body[field] !== undefined)
+    });
+    expense.set(set);
+    if (!expense.category) expense.category = FALLBACK_CATEGORY;
+    await expense.save();
+    await history.recordCreate(expense, req.user);
+    await flagAnomalies(expense, req.user);
+    await flagDuplicates(expense, req.user);
+    if (expense.isRecurring) {
+      await createSeriesFromExpense(expense);
+    }
+    await checkBudgetThresholds(expense, req.user);
     res.status(201).json({
       status: 'success',
       message: 'Expense created successfully',
-      data: { expense }
+      data: { expense, rules: matched.map(rule => rule.name) }
     });
   } catch (error) {
     console.error('Create expense error:', error);
@@ -101,38 +216,17 @@ router.post('/', expenseValidation, async (req, res) => {
   }
 });
 
-// @desc    Get all expenses for user
+// @desc    Get all expenses for user (or the organization)
 // @route   GET /api/expenses
 // @access  Private
 router.get('/', async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      category, 
-      startDate, 
-      endDate, 
-      minAmount, 
-      maxAmount,
-      sortBy = 'date',
-      sortOrder = 'desc'
-    } = req.query;
-    const filter = { user: req.user.id };
-    if (category) filter.category = category;
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = new Date(startDate);
-      if (endDate) filter.date.$lte = new Date(endDate);
-    }
-    if (minAmount || maxAmount) {
-      filter.amount = {};
-      if (minAmount) filter.amount.$gte = parseFloat(minAmount);
-      if (maxAmount) filter.amount.$lte = parseFloat(maxAmount);
-    }
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const { page = 1, limit = 10 } = req.query;
+    const scope = expenseScope(req.user, req.organization);
+    const filter = buildExpenseFilter(req.query, scope);
+    const sort = buildExpenseSort(req.query, filter);
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const expenses = await Expense.find(filter)
+    const expenses = await Expense.find(filter, buildExpenseProjection(filter))
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit))
@@ -160,6 +254,252 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @desc    Export expenses as CSV, JSON, OFX or QIF (same filters as list)
+// @route   GET /api/expenses/export
+// @access  Private
+router.get('/export', async (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  const formatter = exporters[format];
+  if (!formatter) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Unsupported export format. Use one of: ${Object.keys(exporters).join(', ')}`
+    });
+  }
+  let cursor;
+  try {
+    const filter = buildExpenseFilter(req.query, expenseScope(req.user, req.organization));
+    cursor = Expense.find(filter)
+      .sort(buildExpenseSort(req.query, filter))
+      .select(formatter.fields)
+      .lean()
+      .cursor();
+    req.on('close', () => cursor.close().catch(() => {}));
+
+    const filename = `expenses-${new Date().toISOString().slice(0, 10)}.${formatter.extension}`;
+    res.status(200);
+    res.set({
+      'Content-Type': formatter.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    await streamExport(res, cursor, formatter, {
+      user: req.user,
+      currency: (req.organization || req.user).currency || 'USD',
+      scope,
+      startDate: filter.date && filter.date.$gte,
+      endDate: filter.date && filter.date.$lte
+    });
+    res.end();
+  } catch (error) {
+    console.error('Export expenses error:', error);
+    if (cursor) cursor.close().catch(() => {});
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to export expenses',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Import expenses from a CSV bank statement (dryRun=true to preview)
+// @route   POST /api/expenses/import
+// @access  Private
+router.post('/import', requireOrganizationPermission('expenses:create'), csvUpload, importValidation, async (req, res) => {
+  try {
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!csv) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please upload a CSV file'
+      });
+    }
+    const { mapping, dateFormat, decimalSeparator, delimiter, hasHeader, defaultCategory, debitSign, dryRun } = req.body;
+    const { errors, rows } = statementImport.parseStatement(csv, req.user._id, {
+      categories: await listCategoryNames(req.user._id),
+      mapping,
+      dateFormat,
+      decimalSeparator,
+      delimiter,
+      hasHeader,
+      defaultCategory,
+      defaultCurrency: (req.organization || req.user).currency,
+      debitSign,
+      rules: await loadRules(req.user._id),
+      organization: req.organization && req.organization._id
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid column mapping',
+        errors
+      });
+    }
+    await statementImport.markDuplicates(req.user._id, rows);
+    const summary = statementImport.summarize(rows);
+    if (dryRun) {
+      return res.status(200).json({
+        status: 'success',
+        message: 'Dry run completed',
+        data: { summary, rows }
+      });
+    }
+    const imported = await statementImport.commitRows(rows, req.user);
+    res.status(201).json({
+      status: 'success',
+      message: `${imported} expense(s) imported successfully`,
+      data: {
+        summary: { ...statementImport.summarize(rows), imported },
+        rows: rows.filter(row => row.status === 'invalid')
+      }
+    });
+  } catch (error) {
+    console.error('Import expenses error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to import expenses',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Create, update or delete many expenses (atomic=true rolls back on any failure)
+// @route   POST /api/expenses/bulk
+// @access  Private
+router.post('/bulk', [
+  body('operations')
+    .isArray({ min: 1, max: MAX_BULK_OPERATIONS })
+    .withMessage(`Operations must be an array of 1 to ${MAX_BULK_OPERATIONS} items`),
+  body('operations.*.op')
+    .isIn(['create', 'update', 'delete'])
+    .withMessage('Each operation must be create, update or delete'),
+  body('operations.*.data')
+    .optional()
+    .isObject()
+    .withMessage('Operation data must be an object'),
+  body(['operations.*.addTags', 'operations.*.removeTags'])
+    .optional()
+    .isArray()
+    .withMessage('addTags and removeTags must be arrays'),
+  body('atomic')
+    .optional()
+    .isBoolean()
+    .withMessage('atomic must be a boolean')
+    .toBoolean(),
+  validate
+], async (req, res) => {
+  try {
+    const { operations, atomic } = req.body;
+    const outcome = await runBulkOperations(operations, req.user, {
+      atomic,
+      organization: req.organization,
+      organizationRole: req.organizationRole
+    });
+    const allFailed = outcome.succeeded === 0 && outcome.failed > 0;
+    res.status(outcome.rolledBack || allFailed ? 400 : 200).json({
+      status: outcome.failed > 0 ? 'error' : 'success',
+      message: outcome.rolledBack
+        ? 'No changes were made because some operations failed'
+        : `${outcome.succeeded} operation(s) succeeded, ${outcome.failed} failed`,
+      data: outcome
+    });
+  } catch (error) {
+    console.error('Bulk expense error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to run bulk operations',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get expense and income statistics with monthly cash flow for this year
+//          (see /api/analytics for other ranges and granularities). Income is
+//          personal, so an organization's statistics have none.
+// @route   GET /api/expenses/stats
+// @access  Private
+router.get('/stats', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const dateFilter = {};
+    if (startDate || endDate) {
+      if (startDate) dateFilter.$gte = new Date(startDate);
+      if (endDate) dateFilter.$lte = new Date(endDate);
+    }
+    const scope = expenseScope(req.user, req.organization);
+    const filter = { ...scope };
+    if (Object.keys(dateFilter).length > 0) {
+      filter.date = dateFilter;
+    }
+    // Amounts are converted into the user's (or organization's) currency at
+    // each day's rate
+    const currency = (req.organization || req.user).currency;
+    const incomeTotals = (incomeFilter, groupBy) => (req.organization
+      ? { rows: [], missingRates: [] }
+      : convertedIncomeTotals(incomeFilter, groupBy, currency));
+    // Cancelled (and rejected) expenses are left out, as they are for budgets
+    const spending = { ...filter, status: { $ne: 'cancelled' } };
+    const { rows, missingRates } = await convertedDailyTotals(spending, { category: '$category' }, currency);
+    const totalExpenses = groupTotals(rows);
+    const expensesByCategory = groupTotals(rows, row => row.key.category)
+      .sort((a, b) => b.total - a.total);
+    const currentYear = new Date().getUTCFullYear();
+    const monthly = await convertedDailyTotals({
+      ...scope,
+      status: { $ne: 'cancelled' },
+      date: {
+        $gte: new Date(Date.UTC(currentYear, 0, 1)),
+        $lt: new Date(Date.UTC(currentYear + 1, 0, 1))
+      }
+    }, {}, currency);
+    const monthlyExpenses = groupTotals(monthly.rows, row => row.date.getUTCMonth() + 1)
+      .sort((a, b) => a._id - b._id);
+    const income = await incomeTotals(filter, { source: '$source' });
+    const totalIncome = groupTotals(income.rows)[0] || { total: 0, count: 0 };
+    const incomeBySource = groupTotals(income.rows, row => row.key.source)
+      .sort((a, b) => b.total - a.total);
+    const monthlyIncome = await incomeTotals({
+      user: req.user._id,
+      date: {
+        $gte: new Date(Date.UTC(currentYear, 0, 1)),
+        $lt: new Date(Date.UTC(currentYear + 1, 0, 1))
+      }
+    }, {});
+    const expenseTotal = totalExpenses[0] || { total: 0, count: 0 };
+    res.status(200).json({
+      status: 'success',
+      data: {
+        currency,
+        totalExpenses: expenseTotal,
+        expensesByCategory,
+        monthlyExpenses,
+        totalIncome,
+        incomeBySource,
+        cashFlow: cashFlow(totalIncome.total, expenseTotal.total),
+        monthlyCashFlow: mergeCashFlow(
+          groupTotals(monthlyIncome.rows, row => row.date.getUTCMonth() + 1),
+          monthlyExpenses
+        ),
+        missingRates: [...new Set([
+          ...missingRates,
+          ...monthly.missingRates,
+          ...income.missingRates,
+          ...monthlyIncome.missingRates
+        ])]
+      }
+    });
+  } catch (error) {
+    console.error('Get expense stats error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get expense statistics',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Get single expense
 // @route   GET /api/expenses/:id
 // @access  Private
@@ -173,7 +513,7 @@ router.get('/:id', async (req, res) => {
         message: 'Expense not found'
       });
     }
-    if (expense.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!await authorizeExpense(req.user, expense, 'read')) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to access this expense'
@@ -193,10 +533,10 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// @desc    Update expense
+// @desc    Update expense (?scope=future also edits later occurrences of its series)
 // @route   PUT /api/expenses/:id
 // @access  Private
-router.put('/:id', expenseValidation, async (req, res) => {
+router.put('/:id', expenseValidation, validateCategory, async (req, res) => {
   try {
     let expense = await Expense.findById(req.params.id);
     if (!expense) {
@@ -205,17 +545,48 @@ router.put('/:id', expenseValidation, async (req, res) => {
         message: 'Expense not found'
       });
     }
-    if (expense.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!await authorizeExpense(req.user, expense, 'update')) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to update this expense'
       });
     }
+    if (expense.group) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Shared expenses are edited through /api/groups/${expense.group}/expenses/${expense._id}`
+      });
+    }
+    const locked = approvalLock(expense, req.body);
+    if (locked) {
+      return res.status(400).json({
+        status: 'error',
+        message: locked
+      });
+    }
+    if (req.query.scope === 'future' && expense.recurringSeries) {
+      const series = await RecurringExpense.findById(expense.recurringSeries);
+      if (series && series.status !== 'cancelled') {
+        await history.trackSeries(series._id, req.user, 'api', () =>
+          updateThisAndFuture(series, req.body, expense.date, req.user));
+        expense = await Expense.findById(expense._id).populate('user', 'name email');
+        if (expense) await checkBudgetThresholds(expense, req.user);
+        return res.status(200).json({
+          status: 'success',
+          message: 'Expense and future occurrences updated successfully',
+          data: { expense, series }
+        });
+      }
+    }
+    const before = expense;
     expense = await Expense.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      pickExpenseFields(req.body),
       { new: true, runValidators: true }
     ).populate('user', 'name email');
+    await history.recordUpdate(before, expense, req.user);
+    await flagAnomalies(expense, req.user);
+    await checkBudgetThresholds(expense, req.user);
     res.status(200).json({
       status: 'success',
       message: 'Expense updated successfully',
@@ -231,7 +602,7 @@ router.put('/:id', expenseValidation, async (req, res) => {
   }
 });
 
-// @desc    Delete expense
+// @desc    Delete expense (moves it to the trash)
 // @route   DELETE /api/expenses/:id
 // @access  Private
 router.delete('/:id', async (req, res) => {
@@ -243,16 +614,30 @@ router.delete('/:id', async (req, res) => {
         message: 'Expense not found'
       });
     }
-    if (expense.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!await authorizeExpense(req.user, expense, 'delete')) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to delete this expense'
       });
     }
-    await expense.deleteOne();
+    if (expense.group) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Shared expenses are deleted through /api/groups/${expense.group}/expenses/${expense._id}`
+      });
+    }
+    const locked = approvalLock(expense);
+    if (locked) {
+      return res.status(400).json({
+        status: 'error',
+        message: locked
+      });
+    }
+    await trashExpense(expense, req.user);
     res.status(200).json({
       status: 'success',
-      message: 'Expense deleted successfully'
+      message: 'Expense moved to trash',
+      data: { purgeAt: purgeDateOf(expense) }
     });
   } catch (error) {
     console.error('Delete expense error:', error);
@@ -264,63 +649,115 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// @desc    Get expense statistics
-// @route   GET /api/expenses/stats
+// Who an expense belongs to (`user` and `organization`), taken from its
+// history once it has been purged
+const findExpenseOwnership = async (expenseId) => {
+  const current = await Expense.findById(expenseId)
+    .select('user organization')
+    .setOptions({ withDeleted: true });
+  if (current) return current;
+  const entry = await ExpenseHistory.findOne({ expense: expenseId })
+    .sort({ createdAt: -1 })
+    .select('user snapshot.organization');
+  return entry && { user: entry.user, organization: entry.snapshot && entry.snapshot.organization };
+};
+
+// @desc    Get the change history of an expense, newest first
+// @route   GET /api/expenses/:id/history
 // @access  Private
-router.get('/stats', async (req, res) => {
+router.get('/:id/history', async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
-    const dateFilter = {};
-    if (startDate || endDate) {
-      if (startDate) dateFilter.$gte = new Date(startDate);
-      if (endDate) dateFilter.$lte = new Date(endDate);
+    const ownership = await findExpenseOwnership(req.params.id);
+    if (!ownership) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Expense not found'
+      });
     }
-    const filter = { user: req.user.id };
-    if (Object.keys(dateFilter).length > 0) {
-      filter.date = dateFilter;
+    if (!await authorizeExpense(req.user, ownership, 'read')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access this expense'
+      });
     }
-    const totalExpenses = await Expense.aggregate([
-      { $match: filter },
-      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
-    ]);
-    const expensesByCategory = await Expense.aggregate([
-      { $match: filter },
-      { $group: { _id: '$category', total: { $sum: '$amount' }, count: { $sum: 1 } } },
-      { $sort: { total: -1 } }
-    ]);
-    const currentYear = new Date().getFullYear();
-    const monthlyExpenses = await Expense.aggregate([
-      {
-        $match: {
-          user: req.user.id,
-          date: {
-            $gte: new Date(currentYear, 0, 1),
-            $lt: new Date(currentYear + 1, 0, 1)
-          }
-        }
-      },
-      {
-        $group: {
-          _id: { $month: '$date' },
-          total: { $sum: '$amount' },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { _id: 1 } }
-    ]);
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const filter = { expense: req.params.id };
+    const entries = await ExpenseHistory.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('actor', 'name email role');
+    const total = await ExpenseHistory.countDocuments(filter);
     res.status(200).json({
       status: 'success',
       data: {
-        totalExpenses: totalExpenses[0] || { total: 0, count: 0 },
-        expensesByCategory,
-        monthlyExpenses
+        history: entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
       }
     });
   } catch (error) {
-    console.error('Get expense stats error:', error);
+    console.error('Get expense history error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to get expense statistics',
+      message: 'Failed to get expense history',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Restore an expense to how it was after a history entry
+//          (before it, for deletions). Recreates deleted expenses.
+// @route   POST /api/expenses/:id/history/:historyId/revert
+// @access  Private
+router.post('/:id/history/:historyId/revert', async (req, res) => {
+  try {
+    const entry = await ExpenseHistory.findOne({ _id: req.params.historyId, expense: req.params.id });
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'History entry not found'
+      });
+    }
+    const ownership = await findExpenseOwnership(req.params.id);
+    if (!await authorizeExpense(req.user, ownership, 'update')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to update this expense'
+      });
+    }
+    if (entry.snapshot && entry.snapshot.group) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Shared expenses are edited through /api/groups/${entry.snapshot.group}/expenses/${entry.expense}`
+      });
+    }
+    const current = await Expense.findById(req.params.id);
+    const locked = current && approvalLock(current, entry.snapshot);
+    if (locked) {
+      return res.status(400).json({
+        status: 'error',
+        message: locked
+      });
+    }
+    const expense = await history.revertToEntry(entry, req.user);
+    await expense.populate('user', 'name email');
+    await checkBudgetThresholds(expense, req.user);
+    res.status(200).json({
+      status: 'success',
+      message: 'Expense reverted successfully',
+      data: { expense }
+    });
+  } catch (error) {
+    console.error('Revert expense error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to revert expense',
       error: error.message
     });
   }
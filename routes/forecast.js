@@ -0,0 +1,49 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERIODS, forecastSpending } = require('../services/forecast');
+
+const router = express.Router();
+
+// Validation middleware
+const forecastValidation = [
+  query('period')
+    .optional()
+    .isIn(PERIODS)
+    .withMessage(`period must be one of: ${PERIODS.join(', ')}`),
+  query('history')
+    .optional()
+    .isInt({ min: 1, max: 24 })
+    .withMessage('history must be between 1 and 24 periods')
+    .toInt(),
+  validate
+];
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Projected spending for the current period against the budget
+// @route   GET /api/forecast
+// @access  Private
+router.get('/', forecastValidation, async (req, res) => {
+  try {
+    const forecast = await forecastSpending(req.user, {
+      period: req.query.period,
+      historyPeriods: req.query.history
+    });
+    res.status(200).json({
+      status: 'success',
+      data: { forecast }
+    });
+  } catch (error) {
+    console.error('Get forecast error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get forecast',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
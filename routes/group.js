@@ -0,0 +1,750 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Group = require('../models/Group');
+const Expense = require('../models/Expense');
+const Settlement = require('../models/Settlement');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { validateCategory } = require('../middleware/category');
+const history = require('../services/history');
+const { trashExpense, purgeDateOf } = require('../services/trash');
+const {
+  computeSplits,
+  getBalances,
+  simplifyDebts,
+  getPairwiseDebts
+} = require('../services/group');
+const CURRENCIES = require('../utils/currencies');
+
+const router = express.Router();
+
+const MEMBER_FIELDS = 'name email avatar';
+
+// Validation middleware
+const createGroupValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('currency')
+    .optional()
+    .isIn(CURRENCIES)
+    .withMessage('Invalid currency'),
+  body('members')
+    .optional()
+    .isArray()
+    .withMessage('Members must be an array of emails'),
+  body('members.*')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Members must be an array of emails'),
+  validate
+];
+
+const updateGroupValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('isArchived')
+    .optional()
+    .isBoolean()
+    .withMessage('isArchived must be a boolean'),
+  validate
+];
+
+const groupExpenseFieldValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  body('splitType')
+    .optional()
+    .isIn(['equal', 'exact', 'percentage', 'shares'])
+    .withMessage('splitType must be equal, exact, percentage or shares'),
+  body('splits')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Splits must be a non-empty array'),
+  body('splits.*.user')
+    .isMongoId()
+    .withMessage('Each split needs a member id')
+];
+
+const createGroupExpenseValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number'),
+  body('category')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Category is required'),
+  ...groupExpenseFieldValidation,
+  validate,
+  validateCategory
+];
+
+const updateGroupExpenseValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number'),
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Category is required'),
+  ...groupExpenseFieldValidation,
+  validate,
+  validateCategory
+];
+
+const settlementValidation = [
+  body('to')
+    .isMongoId()
+    .withMessage('Recipient is required'),
+  body('from')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid payer'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters'),
+  validate
+];
+
+// Load the group from :id and check membership
+const loadGroup = async (req, res, next) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Group not found'
+      });
+    }
+    if (!group.getMember(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access this group'
+      });
+    }
+    req.group = group;
+    next();
+  } catch (error) {
+    console.error('Load group error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get group',
+      error: error.message
+    });
+  }
+};
+
+const requireGroupOwner = (req, res, next) => {
+  if (!req.group.isOwner(req.user._id) && req.user.role !== 'admin') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Only the group owner can do this'
+    });
+  }
+  next();
+};
+
+// Load a group expense from :expenseId; only its payer or the group owner
+// may change it
+const loadGroupExpense = async (req, res, next) => {
+  try {
+    const expense = await Expense.findOne({ _id: req.params.expenseId, group: req.group._id });
+    if (!expense) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Expense not found'
+      });
+    }
+    if (expense.user.toString() !== req.user.id && !req.group.isOwner(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the member who paid or the group owner can change this expense'
+      });
+    }
+    req.expense = expense;
+    next();
+  } catch (error) {
+    console.error('Load group expense error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get expense',
+      error: error.message
+    });
+  }
+};
+
+// Build splits from the request, defaulting to an equal split between all
+// members. Every participant must belong to the group.
+const splitsFromRequest = (group, amount, splitType = 'equal', splits) => {
+  const participants = splits || group.members.map(member => ({ user: member.user }));
+  const outsider = participants.find(participant => !group.getMember(participant.user));
+  if (outsider) {
+    throw Object.assign(new Error('Every split must belong to a group member'), { status: 400 });
+  }
+  return computeSplits(amount, splitType, participants);
+};
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Get groups the user belongs to
+// @route   GET /api/groups
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const filter = { 'members.user': req.user._id };
+    if (req.query.isArchived !== undefined) filter.isArchived = req.query.isArchived === 'true';
+    const groups = await Group.find(filter)
+      .sort({ updatedAt: -1 })
+      .populate('members.user', MEMBER_FIELDS);
+    res.status(200).json({
+      status: 'success',
+      data: { groups }
+    });
+  } catch (error) {
+    console.error('Get groups error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get groups',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Create group (members are added by email)
+// @route   POST /api/groups
+// @access  Private
+router.post('/', createGroupValidation, async (req, res) => {
+  try {
+    const { name, description, currency, members = [] } = req.body;
+    const users = await User.find({ email: { $in: members }, isActive: true }).select('_id email');
+    const found = new Set(users.map(user => user.email));
+    const missing = members.filter(email => !found.has(email));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `No account found for: ${missing.join(', ')}`
+      });
+    }
+
+    const group = await Group.create({
+      name,
+      description,
+      currency: currency || req.user.currency,
+      createdBy: req.user._id,
+      members: [
+        { user: req.user._id, role: 'owner' },
+        ...users
+          .filter(user => !user._id.equals(req.user._id))
+          .map(user => ({ user: user._id }))
+      ]
+    });
+    await group.populate('members.user', MEMBER_FIELDS);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Group created successfully',
+      data: { group }
+    });
+  } catch (error) {
+    console.error('Create group error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to create group',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get group
+// @route   GET /api/groups/:id
+// @access  Private
+router.get('/:id', loadGroup, async (req, res) => {
+  try {
+    await req.group.populate('members.user', MEMBER_FIELDS);
+    res.status(200).json({
+      status: 'success',
+      data: { group: req.group }
+    });
+  } catch (error) {
+    console.error('Get group error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get group',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update group
+// @route   PUT /api/groups/:id
+// @access  Private
+router.put('/:id', loadGroup, requireGroupOwner, updateGroupValidation, async (req, res) => {
+  try {
+    const { name, description, isArchived } = req.body;
+    if (name !== undefined) req.group.name = name;
+    if (description !== undefined) req.group.description = description;
+    if (isArchived !== undefined) req.group.isArchived = isArchived;
+    await req.group.save();
+    await req.group.populate('members.user', MEMBER_FIELDS);
+    res.status(200).json({
+      status: 'success',
+      message: 'Group updated successfully',
+      data: { group: req.group }
+    });
+  } catch (error) {
+    console.error('Update group error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to update group',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete group (only while it has no expenses or settlements)
+// @route   DELETE /api/groups/:id
+// @access  Private
+router.delete('/:id', loadGroup, requireGroupOwner, async (req, res) => {
+  try {
+    const [hasExpenses, hasSettlements] = await Promise.all([
+      Expense.exists({ group: req.group._id }),
+      Settlement.exists({ group: req.group._id })
+    ]);
+    if (hasExpenses || hasSettlements) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Groups with expenses cannot be deleted. Archive the group instead.'
+      });
+    }
+    await req.group.deleteOne();
+    res.status(200).json({
+      status: 'success',
+      message: 'Group deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete group',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Add member by email
+// @route   POST /api/groups/:id/members
+// @access  Private
+router.post('/:id/members', loadGroup, requireGroupOwner, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  validate
+], async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No account found for this email'
+      });
+    }
+    if (req.group.getMember(user._id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User is already a member of this group'
+      });
+    }
+    req.group.members.push({ user: user._id });
+    await req.group.save();
+    await req.group.populate('members.user', MEMBER_FIELDS);
+    res.status(201).json({
+      status: 'success',
+      message: 'Member added successfully',
+      data: { group: req.group }
+    });
+  } catch (error) {
+    console.error('Add group member error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add member',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Remove member, or leave the group (only once their balance is settled)
+// @route   DELETE /api/groups/:id/members/:userId
+// @access  Private
+router.delete('/:id/members/:userId', loadGroup, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    if (!leaving && !req.group.isOwner(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the group owner can remove other members'
+      });
+    }
+    const member = req.group.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Member not found'
+      });
+    }
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The group owner cannot leave the group'
+      });
+    }
+    const balances = await getBalances(req.group);
+    const balance = balances.find(entry => entry.user.toString() === req.params.userId);
+    if (balance && balance.balance !== 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Settle up before leaving the group',
+        data: { balance: balance.balance }
+      });
+    }
+
+    req.group.members = req.group.members.filter(entry => entry !== member);
+    await req.group.save();
+    res.status(200).json({
+      status: 'success',
+      message: leaving ? 'Left group successfully' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove group member error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove member',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get group expenses
+// @route   GET /api/groups/:id/expenses
+// @access  Private
+router.get('/:id/expenses', loadGroup, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const filter = { group: req.group._id };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const expenses = await Expense.find(filter)
+      .sort({ date: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('user', 'name email')
+      .populate('splits.user', 'name email');
+    const total = await Expense.countDocuments(filter);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        expenses,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get group expenses error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get group expenses',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Record a shared expense paid by the current user
+// @route   POST /api/groups/:id/expenses
+// @access  Private
+router.post('/:id/expenses', loadGroup, createGroupExpenseValidation, async (req, res) => {
+  try {
+    if (req.group.isArchived) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Archived groups cannot take new expenses'
+      });
+    }
+    if (!req.group.getMember(req.user._id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only members can add expenses'
+      });
+    }
+    const { title, amount, category, description, date, paymentMethod, location, tags, splitType = 'equal', splits } = req.body;
+    const expense = await Expense.create({
+      user: req.user._id,
+      group: req.group._id,
+      title,
+      amount,
+      currency: req.group.currency,
+      category,
+      description,
+      date,
+      paymentMethod,
+      location,
+      tags,
+      splitType,
+      splits: splitsFromRequest(req.group, amount, splitType, splits)
+    });
+    await history.recordCreate(expense, req.user, 'group');
+    await expense.populate('splits.user', 'name email');
+    res.status(201).json({
+      status: 'success',
+      message: 'Expense created successfully',
+      data: { expense }
+    });
+  } catch (error) {
+    console.error('Create group expense error:', error);
+    res.status(error.status || (error.name === 'ValidationError' ? 400 : 500)).json({
+      status: 'error',
+      message: error.status ? error.message : 'Failed to create expense',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update a shared expense and re-split it
+// @route   PUT /api/groups/:id/expenses/:expenseId
+// @access  Private
+router.put('/:id/expenses/:expenseId', loadGroup, loadGroupExpense, updateGroupExpenseValidation, async (req, res) => {
+  try {
+    const expense = req.expense;
+    const before = expense.toObject({ depopulate: true, virtuals: false });
+    const { title, amount, category, description, date, paymentMethod, location, tags, splitType, splits } = req.body;
+    const updates = { title, amount, category, description, date, paymentMethod, location, tags };
+    Object.keys(updates).forEach(key => {
+      if (updates[key] !== undefined) expense[key] = updates[key];
+    });
+    // Keep the previous participants when only the amount or type changes
+    const type = splitType || expense.splitType || 'equal';
+    const participants = splits || expense.splits.map(split => ({
+      user: split.user,
+      amount: split.amount,
+      percentage: split.percentage,
+      shares: split.shares
+    }));
+    expense.splitType = type;
+    expense.splits = splitsFromRequest(req.group, expense.amount, type, participants);
+    await expense.save();
+    await history.recordUpdate(before, expense, req.user, 'group');
+    await expense.populate('splits.user', 'name email');
+    res.status(200).json({
+      status: 'success',
+      message: 'Expense updated successfully',
+      data: { expense }
+    });
+  } catch (error) {
+    console.error('Update group expense error:', error);
+    res.status(error.status || (error.name === 'ValidationError' ? 400 : 500)).json({
+      status: 'error',
+      message: error.status ? error.message : 'Failed to update expense',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete a shared expense
+// @route   DELETE /api/groups/:id/expenses/:expenseId
+// @access  Private
+router.delete('/:id/expenses/:expenseId', loadGroup, loadGroupExpense, async (req, res) => {
+  try {
+    await trashExpense(req.expense, req.user, 'group');
+    res.status(200).json({
+      status: 'success',
+      message: 'Expense moved to trash',
+      data: { purgeAt: purgeDateOf(req.expense) }
+    });
+  } catch (error) {
+    console.error('Delete group expense error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete expense',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get member balances and who owes whom (?simplify=false for direct debts)
+// @route   GET /api/groups/:id/balances
+// @access  Private
+router.get('/:id/balances', loadGroup, async (req, res) => {
+  try {
+    const balances = await getBalances(req.group);
+    const simplify = req.query.simplify !== 'false';
+    const debts = simplify ? simplifyDebts(balances) : await getPairwiseDebts(req.group);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        currency: req.group.currency,
+        balances,
+        debts,
+        simplified: simplify
+      }
+    });
+  } catch (error) {
+    console.error('Get group balances error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get balances',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get settlements
+// @route   GET /api/groups/:id/settlements
+// @access  Private
+router.get('/:id/settlements', loadGroup, async (req, res) => {
+  try {
+    const settlements = await Settlement.find({ group: req.group._id })
+      .sort({ date: -1 })
+      .populate('from to', 'name email');
+    res.status(200).json({
+      status: 'success',
+      data: { settlements }
+    });
+  } catch (error) {
+    console.error('Get settlements error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get settlements',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Record a payment between members (from defaults to the current user)
+// @route   POST /api/groups/:id/settlements
+// @access  Private (payer, payee or owner)
+router.post('/:id/settlements', loadGroup, settlementValidation, async (req, res) => {
+  try {
+    const { to, amount, date, note } = req.body;
+    const from = req.body.from || req.user.id;
+    if (!req.group.getMember(from) || !req.group.getMember(to)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Both sides of a settlement must be group members'
+      });
+    }
+    if (from === to) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A member cannot settle with themselves'
+      });
+    }
+    // Members record their own payments; the owner can record any
+    if (![from, to].includes(req.user.id) && !req.group.isOwner(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the payer, the payee or the group owner can record this settlement'
+      });
+    }
+    const settlement = await Settlement.create({
+      group: req.group._id,
+      from,
+      to,
+      amount,
+      date,
+      note,
+      createdBy: req.user._id
+    });
+    res.status(201).json({
+      status: 'success',
+      message: 'Settlement recorded successfully',
+      data: { settlement }
+    });
+  } catch (error) {
+    console.error('Create settlement error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to record settlement',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete settlement
+// @route   DELETE /api/groups/:id/settlements/:settlementId
+// @access  Private
+router.delete('/:id/settlements/:settlementId', loadGroup, async (req, res) => {
+  try {
+    const settlement = await Settlement.findOne({ _id: req.params.settlementId, group: req.group._id });
+    if (!settlement) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Settlement not found'
+      });
+    }
+    if (settlement.createdBy.toString() !== req.user.id && !req.group.isOwner(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to delete this settlement'
+      });
+    }
+    await settlement.deleteOne();
+    res.status(200).json({
+      status: 'success',
+      message: 'Settlement deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete settlement error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete settlement',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Income = require('../models/Income');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { canAccessOwned } = require('../services/permission');
+const CURRENCIES = require('../utils/currencies');
+
+const router = express.Router();
+
+const SOURCES = Income.schema.path('source').enumValues;
+
+// Validation middleware
+const incomeFieldValidation = [
+  body('currency')
+    .optional()
+    .isIn(CURRENCIES)
+    .withMessage('Invalid currency'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('tags.*')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Each tag cannot exceed 20 characters')
+];
+
+const createIncomeValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+  body('source')
+    .isIn(SOURCES)
+    .withMessage(`Source must be one of: ${SOURCES.join(', ')}`),
+  ...incomeFieldValidation,
+  validate
+];
+
+const updateIncomeValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+  body('source')
+    .optional()
+    .isIn(SOURCES)
+    .withMessage(`Source must be one of: ${SOURCES.join(', ')}`),
+  ...incomeFieldValidation,
+  validate
+];
+
+const buildIncomeFilter = (query, userId) => {
+  const { source, startDate, endDate, minAmount, maxAmount } = query;
+  const filter = { user: userId };
+  if (source) filter.source = source;
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) filter.date.$lte = new Date(endDate);
+  }
+  if (minAmount || maxAmount) {
+    filter.amount = {};
+    if (minAmount) filter.amount.$gte = parseFloat(minAmount);
+    if (maxAmount) filter.amount.$lte = parseFloat(maxAmount);
+  }
+  return filter;
+};
+
+// Load the income from :id and check ownership
+const loadIncome = async (req, res, next) => {
+  try {
+    const income = await Income.findById(req.params.id);
+    if (!income) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Income not found'
+      });
+    }
+    if (!canAccessOwned(req.user, income)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access this income'
+      });
+    }
+    req.income = income;
+    next();
+  } catch (error) {
+    console.error('Load income error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get income',
+      error: error.message
+    });
+  }
+};
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Get income sources
+// @route   GET /api/income/sources
+// @access  Private
+router.get('/sources', (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: { sources: SOURCES }
+  });
+});
+
+// @desc    Get all income for user
+// @route   GET /api/income
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sortBy = 'date', sortOrder = 'desc' } = req.query;
+    const filter = buildIncomeFilter(req.query, req.user.id);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const income = await Income.find(filter)
+      .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await Income.countDocuments(filter);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        income,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get income error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get income',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Record income
+// @route   POST /api/income
+// @access  Private
+router.post('/', createIncomeValidation, async (req, res) => {
+  try {
+    const { title, amount, currency, source, description, date, tags } = req.body;
+    const income = await Income.create({
+      user: req.user.id,
+      title,
+      amount,
+      currency: currency || req.user.currency,
+      source,
+      description,
+      date,
+      tags
+    });
+    res.status(201).json({
+      status: 'success',
+      message: 'Income recorded successfully',
+      data: { income }
+    });
+  } catch (error) {
+    console.error('Create income error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to record income',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get single income
+// @route   GET /api/income/:id
+// @access  Private
+router.get('/:id', loadIncome, (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: { income: req.income }
+  });
+});
+
+// @desc    Update income
+// @route   PUT /api/income/:id
+// @access  Private
+router.put('/:id', loadIncome, updateIncomeValidation, async (req, res) => {
+  try {
+    const { title, amount, currency, source, description, date, tags } = req.body;
+    const updates = { title, amount, currency, source, description, date, tags };
+    Object.keys(updates).forEach(key => {
+      if (updates[key] !== undefined) req.income[key] = updates[key];
+    });
+    await req.income.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Income updated successfully',
+      data: { income: req.income }
+    });
+  } catch (error) {
+    console.error('Update income error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to update income',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete income
+// @route   DELETE /api/income/:id
+// @access  Private
+router.delete('/:id', loadIncome, async (req, res) => {
+  try {
+    await req.income.deleteOne();
+    res.status(200).json({
+      status: 'success',
+      message: 'Income deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete income error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete income',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const Expense = require('../models/Expense');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { scoreExpenses } = require('../services/anomaly');
+
+const router = express.Router();
+
+// Most expenses checked by one scan
+const MAX_SCAN = 5000;
+
+const dateFilterFrom = ({ startDate, endDate }) => {
+  if (!startDate && !endDate) return undefined;
+  const date = {};
+  if (startDate) date.$gte = new Date(startDate);
+  if (endDate) date.$lte = new Date(endDate);
+  return date;
+};
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Get expenses flagged as unusual (?type=&severity=&includeDismissed=true)
+// @route   GET /api/insights/anomalies
+// @access  Private
+router.get('/anomalies', [
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  validate
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 10, type, severity, includeDismissed } = req.query;
+    const flag = {};
+    if (type) flag.type = type;
+    if (severity) flag.severity = severity;
+    if (includeDismissed !== 'true') flag.dismissed = false;
+    const filter = {
+      user: req.user._id,
+      anomalies: { $elemMatch: Object.keys(flag).length > 0 ? flag : { type: { $exists: true } } }
+    };
+    const date = dateFilterFrom(req.query);
+    if (date) filter.date = date;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const expenses = await Expense.find(filter)
+      .sort({ date: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await Expense.countDocuments(filter);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        expenses,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get anomalies error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get anomalies',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Check expenses in a range again (default the last 90 days)
+// @route   POST /api/insights/anomalies/scan
+// @access  Private
+router.post('/anomalies/scan', [
+  body(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  validate
+], async (req, res) => {
+  try {
+    const date = dateFilterFrom(req.body) ||
+      { $gte: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000) };
+    const filter = { user: req.user._id, date };
+    const total = await Expense.countDocuments(filter);
+    if (total > MAX_SCAN) {
+      return res.status(400).json({
+        status: 'error',
+        message: `At most ${MAX_SCAN} expenses can be scanned at once; narrow the date range`
+      });
+    }
+    const expenses = await scoreExpenses(await Expense.find(filter), req.user);
+    const flagged = expenses.filter(expense => expense.anomalies.some(flag => !flag.dismissed));
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan completed',
+      data: {
+        scanned: expenses.length,
+        flagged: flagged.length
+      }
+    });
+  } catch (error) {
+    console.error('Scan anomalies error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to scan expenses',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Dismiss an expense's anomaly flags (all, or one `type`)
+// @route   POST /api/insights/anomalies/:id/dismiss
+// @access  Private
+router.post('/anomalies/:id/dismiss', async (req, res) => {
+  try {
+    const expense = await Expense.findById(req.params.id);
+    if (!expense) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Expense not found'
+      });
+    }
+    if (expense.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to update this expense'
+      });
+    }
+    const { type } = req.body;
+    const flags = expense.anomalies.filter(flag => !type || flag.type === type);
+    if (flags.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Expense has no such anomaly flag'
+      });
+    }
+    flags.forEach(flag => { flag.dismissed = true; });
+    await expense.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Anomaly dismissed',
+      data: { expense }
+    });
+  } catch (error) {
+    console.error('Dismiss anomaly error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to dismiss anomaly',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// Validation middleware
+const preferencesValidation = [
+  body('budgetAlerts')
+    .optional()
+    .isBoolean()
+    .withMessage('budgetAlerts must be a boolean'),
+  body('budgetThresholds')
+    .optional()
+    .isArray({ min: 1, max: 5 })
+    .withMessage('budgetThresholds must be an array of 1 to 5 percentages'),
+  body('budgetThresholds.*')
+    .optional()
+    .isFloat({ min: 1, max: 1000 })
+    .withMessage('Each threshold must be a percentage between 1 and 1000')
+    .toFloat(),
+  validate
+];
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Get notifications for user
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread, type } = req.query;
+    const filter = { user: req.user.id };
+    if (unread === 'true') filter.read = false;
+    if (type) filter.type = type;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, read: false });
+    res.status(200).json({
+      status: 'success',
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get notifications',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: { preferences: req.user.notificationPreferences }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put('/preferences', preferencesValidation, async (req, res) => {
+  try {
+    const { budgetAlerts, budgetThresholds } = req.body;
+    const updates = {};
+    if (budgetAlerts !== undefined) {
+      updates['notificationPreferences.budgetAlerts'] = budgetAlerts;
+    }
+    if (budgetThresholds !== undefined) {
+      updates['notificationPreferences.budgetThresholds'] = [...new Set(budgetThresholds)].sort((a, b) => a - b);
+    }
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      updates,
+      { new: true, runValidators: true }
+    );
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification preferences updated successfully',
+      data: { preferences: user.notificationPreferences }
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, read: false },
+      { read: true, readAt: new Date() }
+    );
+    res.status(200).json({
+      status: 'success',
+      message: 'All notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to mark notifications as read',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Mark notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { read: true, readAt: new Date() },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to mark notification as read',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete notification',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,573 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Organization = require('../models/Organization');
+const Invitation = require('../models/Invitation');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { requireOrganizationPermission } = require('../middleware/organization');
+const { ORG_ROLES, hasPermission, canGrant, roleIn } = require('../services/permission');
+const { notify } = require('../services/notification');
+const { sendInvitationEmail } = require('../services/email');
+const CURRENCIES = require('../utils/currencies');
+
+const router = express.Router();
+
+const MEMBER_FIELDS = 'name email avatar';
+
+// Days an invitation can be accepted
+const INVITATION_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validation middleware
+const organizationFieldValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('currency')
+    .optional()
+    .isIn(CURRENCIES)
+    .withMessage('Invalid currency')
+];
+
+const createOrganizationValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  ...organizationFieldValidation,
+  validate
+];
+
+const updateOrganizationValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  ...organizationFieldValidation,
+  validate
+];
+
+const invitationValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .optional()
+    .isIn(ORG_ROLES)
+    .withMessage(`Role must be one of: ${ORG_ROLES.join(', ')}`),
+  validate
+];
+
+const memberRoleValidation = [
+  body('role')
+    .isIn(ORG_ROLES)
+    .withMessage(`Role must be one of: ${ORG_ROLES.join(', ')}`),
+  validate
+];
+
+// Load the organization from :id and the user's role in it
+const loadOrganization = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Organization not found'
+      });
+    }
+    const role = roleIn(organization, req.user);
+    if (!role) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access this organization'
+      });
+    }
+    req.organization = organization;
+    req.organizationRole = role;
+    next();
+  } catch (error) {
+    console.error('Load organization error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get organization',
+      error: error.message
+    });
+  }
+};
+
+// Load a pending invitation from :invitationId addressed to the user. Only a
+// verified email proves the invitation is theirs.
+const loadOwnInvitation = async (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Verify your email address to respond to invitations'
+    });
+  }
+  try {
+    const invitation = await Invitation.findOne({
+      _id: req.params.invitationId,
+      email: req.user.email,
+      status: 'pending'
+    });
+    if (!invitation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invitation not found'
+      });
+    }
+    if (invitation.expiresAt <= new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invitation has expired'
+      });
+    }
+    req.invitation = invitation;
+    next();
+  } catch (error) {
+    console.error('Load invitation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get invitation',
+      error: error.message
+    });
+  }
+};
+
+const ownerCount = (organization) => organization.members.filter(member => member.role === 'owner').length;
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Get organizations the user belongs to, with their role in each
+// @route   GET /api/organizations
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const organizations = await Organization.find({ 'members.user': req.user._id })
+      .sort({ name: 1 });
+    res.status(200).json({
+      status: 'success',
+      data: {
+        organizations: organizations.map(organization => ({
+          ...organization.toJSON(),
+          role: organization.roleOf(req.user._id)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get organizations',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Create organization (the creator becomes its owner)
+// @route   POST /api/organizations
+// @access  Private
+router.post('/', createOrganizationValidation, async (req, res) => {
+  try {
+    const { name, description, currency } = req.body;
+    const organization = await Organization.create({
+      name,
+      description,
+      currency: currency || req.user.currency,
+      createdBy: req.user._id,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+    res.status(201).json({
+      status: 'success',
+      message: 'Organization created successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to create organization',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get pending invitations addressed to the user
+// @route   GET /api/organizations/invitations
+// @access  Private
+router.get('/invitations', async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      email: req.user.email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ createdAt: -1 })
+      .populate('organization', 'name description')
+      .populate('invitedBy', 'name email');
+    res.status(200).json({
+      status: 'success',
+      data: { invitations }
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get invitations',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Accept an invitation and join its organization
+// @route   POST /api/organizations/invitations/:invitationId/accept
+// @access  Private
+router.post('/invitations/:invitationId/accept', loadOwnInvitation, async (req, res) => {
+  try {
+    const invitation = req.invitation;
+    const organization = await Organization.findById(invitation.organization);
+    if (!organization) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Organization not found'
+      });
+    }
+    if (!organization.getMember(req.user._id)) {
+      organization.members.push({ user: req.user._id, role: invitation.role });
+      await organization.save();
+    }
+    invitation.status = 'accepted';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+    res.status(200).json({
+      status: 'success',
+      message: `Joined ${organization.name}`,
+      data: { organization, role: organization.roleOf(req.user._id) }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to accept invitation',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Decline an invitation
+// @route   POST /api/organizations/invitations/:invitationId/decline
+// @access  Private
+router.post('/invitations/:invitationId/decline', loadOwnInvitation, async (req, res) => {
+  try {
+    req.invitation.status = 'declined';
+    req.invitation.respondedAt = new Date();
+    await req.invitation.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to decline invitation',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get organization with its members
+// @route   GET /api/organizations/:id
+// @access  Private (members)
+router.get('/:id', loadOrganization, async (req, res) => {
+  try {
+    await req.organization.populate('members.user', MEMBER_FIELDS);
+    res.status(200).json({
+      status: 'success',
+      data: { organization: req.organization, role: req.organizationRole }
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get organization',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update organization
+// @route   PUT /api/organizations/:id
+// @access  Private (owners)
+router.put('/:id', loadOrganization, requireOrganizationPermission('organization:update'), updateOrganizationValidation, async (req, res) => {
+  try {
+    const { name, description, currency } = req.body;
+    if (name !== undefined) req.organization.name = name;
+    if (description !== undefined) req.organization.description = description;
+    if (currency !== undefined) req.organization.currency = currency;
+    await req.organization.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Organization updated successfully',
+      data: { organization: req.organization }
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to update organization',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete organization. Its expenses stay with the members who filed them.
+// @route   DELETE /api/organizations/:id
+// @access  Private (owners)
+router.delete('/:id', loadOrganization, requireOrganizationPermission('organization:delete'), async (req, res) => {
+  try {
+    const { modifiedCount } = await Expense.updateMany(
+      { organization: req.organization._id },
+      { $unset: { organization: 1 } }
+    ).setOptions({ withDeleted: true });
+    await Invitation.deleteMany({ organization: req.organization._id });
+    await req.organization.deleteOne();
+    res.status(200).json({
+      status: 'success',
+      message: 'Organization deleted successfully',
+      data: { expenses: modifiedCount }
+    });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete organization',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get pending invitations to the organization
+// @route   GET /api/organizations/:id/invitations
+// @access  Private (owners and managers)
+router.get('/:id/invitations', loadOrganization, requireOrganizationPermission('members:invite'), async (req, res) => {
+  try {
+    const invitations = await Invitation.find({ organization: req.organization._id, status: 'pending' })
+      .sort({ createdAt: -1 })
+      .populate('invitedBy', 'name email');
+    res.status(200).json({
+      status: 'success',
+      data: { invitations }
+    });
+  } catch (error) {
+    console.error('Get organization invitations error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get invitations',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Invite someone by email (managers can invite members and viewers)
+// @route   POST /api/organizations/:id/invitations
+// @access  Private (owners and managers)
+router.post('/:id/invitations', loadOrganization, requireOrganizationPermission('members:invite'), invitationValidation, async (req, res) => {
+  try {
+    const { email, role = 'member' } = req.body;
+    if (!canGrant(req.organizationRole, role)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Your role in this organization (${req.organizationRole}) cannot invite a ${role}`
+      });
+    }
+    const invitee = await User.findOne({ email }).select('name email isActive');
+    if (invitee && req.organization.getMember(invitee._id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User is already a member of this organization'
+      });
+    }
+    // A new invitation replaces an expired one
+    await Invitation.deleteOne({
+      organization: req.organization._id,
+      email,
+      status: 'pending',
+      expiresAt: { $lte: new Date() }
+    });
+    if (await Invitation.exists({ organization: req.organization._id, email, status: 'pending' })) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This email has already been invited'
+      });
+    }
+    const invitation = await Invitation.create({
+      organization: req.organization._id,
+      email,
+      role,
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + INVITATION_DAYS * DAY_MS)
+    });
+
+    if (invitee && invitee.isActive) {
+      try {
+        await notify(invitee._id, {
+          type: 'organization',
+          title: `Invitation to ${req.organization.name}`,
+          message: `${req.user.name} invited you to join ${req.organization.name} as a ${role}`,
+          data: { organization: req.organization._id, invitation: invitation._id }
+        });
+      } catch (error) {
+        console.error('Invitation notification error:', error);
+      }
+    }
+    try {
+      await sendInvitationEmail(invitation, {
+        organization: req.organization,
+        inviter: req.user,
+        name: invitee && invitee.name
+      });
+    } catch (error) {
+      console.error('Send invitation email error:', error);
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Invitation sent',
+      data: { invitation }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to send invitation',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/organizations/:id/invitations/:invitationId
+// @access  Private (owners, and managers for roles they can invite)
+router.delete('/:id/invitations/:invitationId', loadOrganization, requireOrganizationPermission('members:invite'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({
+      _id: req.params.invitationId,
+      organization: req.organization._id,
+      status: 'pending'
+    });
+    if (!invitation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invitation not found'
+      });
+    }
+    if (!canGrant(req.organizationRole, invitation.role)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Your role in this organization (${req.organizationRole}) cannot revoke this invitation`
+      });
+    }
+    invitation.status = 'revoked';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke invitation',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Change a member's role (an organization always keeps an owner)
+// @route   PUT /api/organizations/:id/members/:userId
+// @access  Private (owners)
+router.put('/:id/members/:userId', loadOrganization, requireOrganizationPermission('members:manage'), memberRoleValidation, async (req, res) => {
+  try {
+    const member = req.organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Member not found'
+      });
+    }
+    if (member.role === 'owner' && req.body.role !== 'owner' && ownerCount(req.organization) === 1) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Make another member an owner first'
+      });
+    }
+    member.role = req.body.role;
+    await req.organization.save();
+    await req.organization.populate('members.user', MEMBER_FIELDS);
+    res.status(200).json({
+      status: 'success',
+      message: 'Member role updated successfully',
+      data: { organization: req.organization }
+    });
+  } catch (error) {
+    console.error('Update organization member error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update member',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Remove member, or leave the organization. Their expenses stay in it.
+// @route   DELETE /api/organizations/:id/members/:userId
+// @access  Private (owners, or the member leaving)
+router.delete('/:id/members/:userId', loadOrganization, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    if (!leaving && !hasPermission(req.organizationRole, 'members:manage')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only organization owners can remove other members'
+      });
+    }
+    const member = req.organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Member not found'
+      });
+    }
+    if (member.role === 'owner' && ownerCount(req.organization) === 1) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Make another member an owner first'
+      });
+    }
+    req.organization.members = req.organization.members.filter(entry => entry !== member);
+    await req.organization.save();
+    res.status(200).json({
+      status: 'success',
+      message: leaving ? 'Left organization successfully' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove member',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
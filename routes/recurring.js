@@ -0,0 +1,361 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { validateCategory } = require('../middleware/category');
+const CURRENCIES = require('../utils/currencies');
+const recurring = require('../services/recurring');
+const { trackSeries } = require('../services/history');
+const { canAccessOwned } = require('../services/permission');
+
+const router = express.Router();
+
+// Validation middleware
+const seriesFieldValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+  body('currency')
+    .optional()
+    .isIn(CURRENCIES)
+    .withMessage('Invalid currency'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('paymentMethod')
+    .optional()
+    .isIn(Expense.schema.path('paymentMethod').enumValues)
+    .withMessage('Invalid payment method'),
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location cannot exceed 100 characters'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('tags.*')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Each tag cannot exceed 20 characters'),
+  body('recurringType')
+    .optional()
+    .isIn(['daily', 'weekly', 'monthly', 'yearly'])
+    .withMessage('Invalid recurring type'),
+  body('interval')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Interval must be a positive integer')
+    .toInt(),
+  body('endDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Invalid end date format')
+];
+
+const createSeriesValidation = [
+  body('title').exists().withMessage('Title is required'),
+  body('amount').exists().withMessage('Amount is required'),
+  body('category').exists().withMessage('Category is required'),
+  body('recurringType').exists().withMessage('Recurring type is required'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Invalid start date format'),
+  ...seriesFieldValidation,
+  validate,
+  validateCategory
+];
+
+const updateSeriesValidation = [
+  ...seriesFieldValidation,
+  body('fromDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid from date format'),
+  validate,
+  validateCategory
+];
+
+const skipValidation = [
+  body('date')
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  validate
+];
+
+// Load the series from :id and check ownership
+const loadSeries = async (req, res, next) => {
+  try {
+    const series = await RecurringExpense.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Recurring series not found'
+      });
+    }
+    if (!canAccessOwned(req.user, series)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access this recurring series'
+      });
+    }
+    req.series = series;
+    next();
+  } catch (error) {
+    console.error('Load recurring series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get recurring series',
+      error: error.message
+    });
+  }
+};
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Get all recurring series for user
+// @route   GET /api/expenses/recurring
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = { user: req.user.id };
+    if (status) filter.status = status;
+    const series = await RecurringExpense.find(filter).sort({ nextOccurrence: 1 });
+    res.status(200).json({
+      status: 'success',
+      data: { series }
+    });
+  } catch (error) {
+    console.error('Get recurring series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get recurring series',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Create recurring series
+// @route   POST /api/expenses/recurring
+// @access  Private
+router.post('/', createSeriesValidation, async (req, res) => {
+  try {
+    const { title, amount, currency, category, description, paymentMethod, location, tags,
+      recurringType, interval, startDate, endDate } = req.body;
+    const series = await RecurringExpense.create({
+      user: req.user.id,
+      title,
+      amount,
+      currency: currency || req.user.currency,
+      category,
+      description,
+      paymentMethod,
+      location,
+      tags,
+      recurringType,
+      interval,
+      startDate,
+      endDate
+    });
+    const created = await recurring.generateOccurrences(series);
+    res.status(201).json({
+      status: 'success',
+      message: 'Recurring series created successfully',
+      data: { series, generated: created }
+    });
+  } catch (error) {
+    console.error('Create recurring series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create recurring series',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get recurring series with its occurrences
+// @route   GET /api/expenses/recurring/:id
+// @access  Private
+router.get('/:id', loadSeries, async (req, res) => {
+  try {
+    const occurrences = await Expense.find({ recurringSeries: req.series._id })
+      .sort({ date: -1 })
+      .limit(parseInt(req.query.limit) || 12);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        series: req.series,
+        occurrences,
+        upcoming: recurring.upcomingOccurrences(req.series)
+      }
+    });
+  } catch (error) {
+    console.error('Get recurring series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get recurring series',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Edit series and all occurrences from a date onwards
+// @route   PUT /api/expenses/recurring/:id
+// @access  Private
+router.put('/:id', loadSeries, updateSeriesValidation, async (req, res) => {
+  try {
+    if (req.series.status === 'cancelled') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot edit a cancelled recurring series'
+      });
+    }
+    const series = await trackSeries(req.series._id, req.user, 'recurring', () =>
+      recurring.updateThisAndFuture(req.series, req.body, req.body.fromDate, req.user));
+    res.status(200).json({
+      status: 'success',
+      message: 'Recurring series updated successfully',
+      data: { series }
+    });
+  } catch (error) {
+    console.error('Update recurring series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update recurring series',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Skip a single occurrence
+// @route   POST /api/expenses/recurring/:id/skip
+// @access  Private
+router.post('/:id/skip', loadSeries, skipValidation, async (req, res) => {
+  try {
+    const skipped = await trackSeries(req.series._id, req.user, 'recurring', () =>
+      recurring.skipOccurrence(req.series, req.body.date, req.user));
+    if (!skipped) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No occurrence scheduled on that date'
+      });
+    }
+    res.status(200).json({
+      status: 'success',
+      message: 'Occurrence skipped successfully',
+      data: { series: req.series, skipped }
+    });
+  } catch (error) {
+    console.error('Skip occurrence error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to skip occurrence',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Pause recurring series
+// @route   POST /api/expenses/recurring/:id/pause
+// @access  Private
+router.post('/:id/pause', loadSeries, async (req, res) => {
+  try {
+    if (req.series.status !== 'active') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot pause a ${req.series.status} recurring series`
+      });
+    }
+    req.series.status = 'paused';
+    await req.series.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Recurring series paused successfully',
+      data: { series: req.series }
+    });
+  } catch (error) {
+    console.error('Pause recurring series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to pause recurring series',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Resume paused recurring series
+// @route   POST /api/expenses/recurring/:id/resume
+// @access  Private
+router.post('/:id/resume', loadSeries, async (req, res) => {
+  try {
+    if (req.series.status !== 'paused') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only paused recurring series can be resumed'
+      });
+    }
+    // Occurrences that fell due while paused are not back-filled
+    req.series.status = 'active';
+    recurring.advanceTo(req.series, new Date());
+    await req.series.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Recurring series resumed successfully',
+      data: { series: req.series }
+    });
+  } catch (error) {
+    console.error('Resume recurring series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to resume recurring series',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Cancel recurring series
+// @route   POST /api/expenses/recurring/:id/cancel
+// @access  Private
+router.post('/:id/cancel', loadSeries, async (req, res) => {
+  try {
+    if (req.series.status === 'cancelled') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Recurring series is already cancelled'
+      });
+    }
+    const deleted = await trackSeries(req.series._id, req.user, 'recurring', () =>
+      recurring.cancelSeries(req.series, {
+        deleteFuture: req.body.deleteFuture === true || req.body.deleteFuture === 'true',
+        actor: req.user
+      }));
+    res.status(200).json({
+      status: 'success',
+      message: 'Recurring series cancelled successfully',
+      data: { series: req.series, deletedOccurrences: deleted }
+    });
+  } catch (error) {
+    console.error('Cancel recurring series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to cancel recurring series',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
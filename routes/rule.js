@@ -0,0 +1,446 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const ExpenseRule = require('../models/ExpenseRule');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { findCategory } = require('../services/category');
+const { invalidPattern, compileRule, loadRules, runOnHistory } = require('../services/rules');
+
+const router = express.Router();
+
+const MAX_RULES = 100;
+const MAX_TEXT_CONDITIONS = 10;
+const PAYMENT_METHODS = ['Cash', 'Credit Card', 'Debit Card', 'Bank Transfer', 'Digital Wallet', 'Other'];
+
+// Validation middleware
+const definitionValidation = [
+  body('conditions')
+    .optional()
+    .isObject()
+    .withMessage('Conditions must be an object'),
+  body('conditions.text')
+    .optional()
+    .isArray({ max: MAX_TEXT_CONDITIONS })
+    .withMessage(`Text conditions must be an array of at most ${MAX_TEXT_CONDITIONS} items`),
+  body('conditions.text.*.field')
+    .isIn(['title', 'description', 'location'])
+    .withMessage('Text conditions apply to title, description or location'),
+  body('conditions.text.*.operator')
+    .optional()
+    .isIn(['contains', 'matches'])
+    .withMessage('Operator must be contains or matches'),
+  body('conditions.text.*.value')
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Condition value must be between 1 and 200 characters'),
+  body('conditions.text.*.caseSensitive')
+    .optional()
+    .isBoolean()
+    .withMessage('caseSensitive must be a boolean'),
+  body(['conditions.minAmount', 'conditions.maxAmount'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Amounts must be positive numbers'),
+  body('conditions.paymentMethods')
+    .optional()
+    .isArray()
+    .withMessage('paymentMethods must be an array'),
+  body('conditions.paymentMethods.*')
+    .isIn(PAYMENT_METHODS)
+    .withMessage('Invalid payment method'),
+  body('actions')
+    .optional()
+    .isObject()
+    .withMessage('Actions must be an object'),
+  body('actions.category')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Invalid category'),
+  body('actions.addTags')
+    .optional()
+    .isArray()
+    .withMessage('addTags must be an array'),
+  body('actions.addTags.*')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Each tag must be between 1 and 20 characters'),
+  body('actions.paymentMethod')
+    .optional({ nullable: true })
+    .isIn(PAYMENT_METHODS)
+    .withMessage('Invalid payment method'),
+  body('actions.recurringType')
+    .optional({ nullable: true })
+    .isIn(['daily', 'weekly', 'monthly', 'yearly'])
+    .withMessage('Invalid recurring type')
+];
+
+const ruleFieldValidation = [
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be a whole number')
+    .toInt(),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const createRuleValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  ...ruleFieldValidation,
+  ...definitionValidation,
+  validate
+];
+
+const updateRuleValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  ...ruleFieldValidation,
+  ...definitionValidation,
+  validate
+];
+
+const rangeValidation = (location) => [
+  location(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format')
+];
+
+const dateFilterFrom = ({ startDate, endDate }) => {
+  if (!startDate && !endDate) return undefined;
+  const date = {};
+  if (startDate) date.$gte = new Date(startDate);
+  if (endDate) date.$lte = new Date(endDate);
+  return date;
+};
+
+// Check a rule's conditions and actions and return them ready to store, or
+// { error } when they cannot be used
+const checkDefinition = async (userId, conditions = {}, actions = {}) => {
+  const text = (conditions.text || []).map(({ field, operator = 'contains', value, caseSensitive = false }) => ({
+    field, operator, value, caseSensitive: Boolean(caseSensitive)
+  }));
+  const paymentMethods = conditions.paymentMethods || [];
+  const { minAmount = null, maxAmount = null } = conditions;
+  if (text.length === 0 && minAmount === null && maxAmount === null && paymentMethods.length === 0) {
+    return { error: 'A rule needs at least one condition' };
+  }
+  if (minAmount !== null && maxAmount !== null && Number(minAmount) > Number(maxAmount)) {
+    return { error: 'minAmount cannot be greater than maxAmount' };
+  }
+  const patternError = invalidPattern({ text });
+  if (patternError) return { error: patternError };
+
+  const addTags = [...new Set(actions.addTags || [])];
+  const { paymentMethod = null, recurringType = null } = actions;
+  let category = null;
+  if (actions.category) {
+    const found = await findCategory(userId, actions.category);
+    if (!found) return { error: 'Invalid category' };
+    category = found.name;
+  }
+  if (!category && addTags.length === 0 && !paymentMethod && !recurringType) {
+    return { error: 'A rule needs at least one action' };
+  }
+
+  return {
+    conditions: {
+      text,
+      minAmount: minAmount === null ? undefined : Number(minAmount),
+      maxAmount: maxAmount === null ? undefined : Number(maxAmount),
+      paymentMethods
+    },
+    actions: {
+      category: category || undefined,
+      addTags,
+      paymentMethod: paymentMethod || undefined,
+      recurringType: recurringType || undefined
+    }
+  };
+};
+
+// Load the rule from :id and check ownership
+const loadRule = async (req, res, next) => {
+  try {
+    const rule = await ExpenseRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Rule not found'
+      });
+    }
+    if (rule.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access this rule'
+      });
+    }
+    req.rule = rule;
+    next();
+  } catch (error) {
+    console.error('Load rule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get rule',
+      error: error.message
+    });
+  }
+};
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Get categorization rules in the order they run
+// @route   GET /api/expenses/rules
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const rules = await ExpenseRule.find({ user: req.user._id }).sort({ priority: 1, createdAt: 1 });
+    res.status(200).json({
+      status: 'success',
+      data: { rules }
+    });
+  } catch (error) {
+    console.error('Get rules error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get rules',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Create a categorization rule
+// @route   POST /api/expenses/rules
+// @access  Private
+router.post('/', createRuleValidation, async (req, res) => {
+  try {
+    const { name, priority, isActive } = req.body;
+    if (await ExpenseRule.countDocuments({ user: req.user._id }) >= MAX_RULES) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can have at most ${MAX_RULES} rules`
+      });
+    }
+    const definition = await checkDefinition(req.user._id, req.body.conditions, req.body.actions);
+    if (definition.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: definition.error
+      });
+    }
+    const rule = await ExpenseRule.create({
+      user: req.user._id,
+      name,
+      priority,
+      isActive,
+      conditions: definition.conditions,
+      actions: definition.actions
+    });
+    res.status(201).json({
+      status: 'success',
+      message: 'Rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('Create rule error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to create rule',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Test an unsaved rule against existing expenses
+// @route   POST /api/expenses/rules/test
+// @access  Private
+router.post('/test', [...definitionValidation, ...rangeValidation(body), validate], async (req, res) => {
+  try {
+    const definition = await checkDefinition(req.user._id, req.body.conditions, req.body.actions);
+    if (definition.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: definition.error
+      });
+    }
+    const rule = { name: req.body.name || 'Test rule', ...definition };
+    const result = await runOnHistory(req.user._id, [compileRule(rule)], {
+      dateFilter: dateFilterFrom(req.body)
+    });
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Test rule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to test rule',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Run all active rules over existing expenses (dryRun=true to preview)
+// @route   POST /api/expenses/rules/apply
+// @access  Private
+router.post('/apply', [
+  ...rangeValidation(body),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(),
+  validate
+], async (req, res) => {
+  try {
+    const result = await runOnHistory(req.user._id, await loadRules(req.user._id), {
+      dateFilter: dateFilterFrom(req.body),
+      apply: !req.body.dryRun,
+      actor: req.user
+    });
+    res.status(200).json({
+      status: 'success',
+      message: req.body.dryRun ? 'Dry run completed' : `${result.changed} expense(s) updated`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Apply rules error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to apply rules',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get rule
+// @route   GET /api/expenses/rules/:id
+// @access  Private
+router.get('/:id', loadRule, (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: { rule: req.rule }
+  });
+});
+
+// @desc    Update rule (conditions and actions are replaced as a whole)
+// @route   PUT /api/expenses/rules/:id
+// @access  Private
+router.put('/:id', loadRule, updateRuleValidation, async (req, res) => {
+  try {
+    const rule = req.rule;
+    const { name, priority, isActive, conditions, actions } = req.body;
+    if (conditions !== undefined || actions !== undefined) {
+      const current = rule.toObject();
+      const definition = await checkDefinition(
+        req.user._id,
+        conditions !== undefined ? conditions : current.conditions,
+        actions !== undefined ? actions : current.actions
+      );
+      if (definition.error) {
+        return res.status(400).json({
+          status: 'error',
+          message: definition.error
+        });
+      }
+      rule.conditions = definition.conditions;
+      rule.actions = definition.actions;
+    }
+    if (name !== undefined) rule.name = name;
+    if (priority !== undefined) rule.priority = priority;
+    if (isActive !== undefined) rule.isActive = isActive;
+    await rule.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('Update rule error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to update rule',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete rule
+// @route   DELETE /api/expenses/rules/:id
+// @access  Private
+router.delete('/:id', loadRule, async (req, res) => {
+  try {
+    await req.rule.deleteOne();
+    res.status(200).json({
+      status: 'success',
+      message: 'Rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete rule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete rule',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Test a saved rule against existing expenses (?startDate=&endDate=)
+// @route   GET /api/expenses/rules/:id/test
+// @access  Private
+router.get('/:id/test', loadRule, [...rangeValidation(query), validate], async (req, res) => {
+  try {
+    const result = await runOnHistory(req.user._id, [compileRule(req.rule)], {
+      dateFilter: dateFilterFrom(req.query)
+    });
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Test rule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to test rule',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Apply a rule to existing expenses
+// @route   POST /api/expenses/rules/:id/apply
+// @access  Private
+router.post('/:id/apply', loadRule, [...rangeValidation(body), validate], async (req, res) => {
+  try {
+    const result = await runOnHistory(req.user._id, [compileRule(req.rule)], {
+      dateFilter: dateFilterFrom(req.body),
+      apply: true,
+      actor: req.user
+    });
+    res.status(200).json({
+      status: 'success',
+      message: `${result.changed} expense(s) updated`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Apply rule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to apply rule',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,278 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Expense = require('../models/Expense');
+const SavedFilter = require('../models/SavedFilter');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { organizationContext } = require('../middleware/organization');
+const { expenseScope } = require('../services/permission');
+const {
+  buildExpenseFilter,
+  buildExpenseSort,
+  buildExpenseProjection,
+  pickFilterFields
+} = require('../services/expenseFilter');
+
+const router = express.Router();
+
+const MAX_SAVED_FILTERS = 50;
+const SORT_FIELDS = ['relevance', 'date', 'amount', 'title', 'category', 'createdAt'];
+
+// Validation middleware
+const filterValidation = [
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object'),
+  body('filters.q')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Search cannot exceed 200 characters'),
+  body('filters.category')
+    .optional()
+    .isString()
+    .withMessage('Invalid category'),
+  body(['filters.startDate', 'filters.endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  body(['filters.minAmount', 'filters.maxAmount'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amounts must be positive numbers'),
+  body('filters.sortBy')
+    .optional()
+    .isIn(SORT_FIELDS)
+    .withMessage(`sortBy must be one of: ${SORT_FIELDS.join(', ')}`),
+  body('filters.sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('sortOrder must be asc or desc')
+];
+
+const createFilterValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  ...filterValidation,
+  validate
+];
+
+const updateFilterValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  ...filterValidation,
+  validate
+];
+
+const nameTaken = (userId, name, exceptId) => SavedFilter.exists({
+  user: userId,
+  name,
+  ...(exceptId ? { _id: { $ne: exceptId } } : {})
+}).collation({ locale: 'en', strength: 2 });
+
+// Load the saved filter from :id and check ownership
+const loadSavedFilter = async (req, res, next) => {
+  try {
+    const savedFilter = await SavedFilter.findById(req.params.id);
+    if (!savedFilter) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Saved filter not found'
+      });
+    }
+    if (savedFilter.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access this saved filter'
+      });
+    }
+    req.savedFilter = savedFilter;
+    next();
+  } catch (error) {
+    console.error('Load saved filter error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get saved filter',
+      error: error.message
+    });
+  }
+};
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Get saved filters
+// @route   GET /api/expenses/saved-filters
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const savedFilters = await SavedFilter.find({ user: req.user._id })
+      .sort({ name: 1 })
+      .collation({ locale: 'en', strength: 2 });
+    res.status(200).json({
+      status: 'success',
+      data: { savedFilters }
+    });
+  } catch (error) {
+    console.error('Get saved filters error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get saved filters',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Save a filter
+// @route   POST /api/expenses/saved-filters
+// @access  Private
+router.post('/', createFilterValidation, async (req, res) => {
+  try {
+    const { name, filters = {} } = req.body;
+    if (await SavedFilter.countDocuments({ user: req.user._id }) >= MAX_SAVED_FILTERS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can save at most ${MAX_SAVED_FILTERS} filters`
+      });
+    }
+    if (await nameTaken(req.user._id, name)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A saved filter with this name already exists'
+      });
+    }
+    const savedFilter = await SavedFilter.create({
+      user: req.user._id,
+      name,
+      filters: pickFilterFields(filters)
+    });
+    res.status(201).json({
+      status: 'success',
+      message: 'Filter saved successfully',
+      data: { savedFilter }
+    });
+  } catch (error) {
+    console.error('Create saved filter error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to save filter',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get saved filter
+// @route   GET /api/expenses/saved-filters/:id
+// @access  Private
+router.get('/:id', loadSavedFilter, (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: { savedFilter: req.savedFilter }
+  });
+});
+
+// @desc    Run a saved filter (query parameters override saved ones), on the
+//          organization picked by X-Organization if any
+// @route   GET /api/expenses/saved-filters/:id/run
+// @access  Private
+router.get('/:id/run', loadSavedFilter, organizationContext, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const query = {
+      ...pickFilterFields(req.savedFilter.filters || {}),
+      ...pickFilterFields(req.query)
+    };
+    const filter = buildExpenseFilter(query, expenseScope(req.user, req.organization));
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const expenses = await Expense.find(filter, buildExpenseProjection(filter))
+      .sort(buildExpenseSort(query, filter))
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('user', 'name email');
+    const total = await Expense.countDocuments(filter);
+
+    req.savedFilter.lastUsedAt = new Date();
+    await req.savedFilter.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        savedFilter: req.savedFilter,
+        expenses,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Run saved filter error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to run saved filter',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update saved filter (filters are replaced as a whole)
+// @route   PUT /api/expenses/saved-filters/:id
+// @access  Private
+router.put('/:id', loadSavedFilter, updateFilterValidation, async (req, res) => {
+  try {
+    const { name, filters } = req.body;
+    if (name !== undefined) {
+      if (await nameTaken(req.user._id, name, req.savedFilter._id)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'A saved filter with this name already exists'
+        });
+      }
+      req.savedFilter.name = name;
+    }
+    if (filters !== undefined) req.savedFilter.filters = pickFilterFields(filters);
+    await req.savedFilter.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Saved filter updated successfully',
+      data: { savedFilter: req.savedFilter }
+    });
+  } catch (error) {
+    console.error('Update saved filter error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      status: 'error',
+      message: 'Failed to update saved filter',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete saved filter
+// @route   DELETE /api/expenses/saved-filters/:id
+// @access  Private
+router.delete('/:id', loadSavedFilter, async (req, res) => {
+  try {
+    await req.savedFilter.deleteOne();
+    res.status(200).json({
+      status: 'success',
+      message: 'Saved filter deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete saved filter error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete saved filter',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const Subscription = require('../models/Subscription');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { detectSubscriptions, chargesOf, totalCost } = require('../services/subscription');
+
+const router = express.Router();
+
+const STATUSES = ['detected', 'confirmed', 'dismissed', 'cancelled'];
+
+// Load the subscription from :id and check ownership
+const loadSubscription = async (req, res, next) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Subscription not found'
+      });
+    }
+    if (subscription.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access this subscription'
+      });
+    }
+    req.subscription = subscription;
+    next();
+  } catch (error) {
+    console.error('Load subscription error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get subscription',
+      error: error.message
+    });
+  }
+};
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Get subscriptions with their total cost (dismissed ones only with ?status=dismissed)
+// @route   GET /api/subscriptions
+// @access  Private
+router.get('/', [
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`status must be one of: ${STATUSES.join(', ')}`),
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be a boolean'),
+  validate
+], async (req, res) => {
+  try {
+    const { status, active } = req.query;
+    const filter = { user: req.user._id, status: status || { $ne: 'dismissed' } };
+    if (active !== undefined) filter.isActive = active === 'true';
+    const subscriptions = await Subscription.find(filter).sort({ isActive: -1, annualCost: -1 });
+    res.status(200).json({
+      status: 'success',
+      data: {
+        subscriptions,
+        total: await totalCost(subscriptions, req.user.currency)
+      }
+    });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get subscriptions',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Look for subscriptions in the user's expenses now
+// @route   POST /api/subscriptions/detect
+// @access  Private
+router.post('/detect', async (req, res) => {
+  try {
+    const detected = await detectSubscriptions(req.user._id);
+    res.status(200).json({
+      status: 'success',
+      message: `${detected} subscription(s) detected`,
+      data: { detected }
+    });
+  } catch (error) {
+    console.error('Detect subscriptions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to detect subscriptions',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get subscription with the expenses it was found in
+// @route   GET /api/subscriptions/:id
+// @access  Private
+router.get('/:id', loadSubscription, async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        subscription: req.subscription,
+        charges: await chargesOf(req.subscription)
+      }
+    });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get subscription',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Confirm a subscription (also undoes a dismissal or cancellation)
+// @route   POST /api/subscriptions/:id/confirm
+// @access  Private
+router.post('/:id/confirm', loadSubscription, async (req, res) => {
+  try {
+    const subscription = req.subscription;
+    subscription.status = 'confirmed';
+    subscription.cancelledAt = undefined;
+    subscription.chargedAfterCancellation = false;
+    await subscription.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscription confirmed',
+      data: { subscription }
+    });
+  } catch (error) {
+    console.error('Confirm subscription error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to confirm subscription',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Dismiss a detected subscription that is not one
+// @route   POST /api/subscriptions/:id/dismiss
+// @access  Private
+router.post('/:id/dismiss', loadSubscription, async (req, res) => {
+  try {
+    const subscription = req.subscription;
+    subscription.status = 'dismissed';
+    await subscription.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscription dismissed',
+      data: { subscription }
+    });
+  } catch (error) {
+    console.error('Dismiss subscription error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to dismiss subscription',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Mark a subscription as cancelled (cancelledAt defaults to now)
+// @route   POST /api/subscriptions/:id/cancel
+// @access  Private
+router.post('/:id/cancel', loadSubscription, [
+  body('cancelledAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  validate
+], async (req, res) => {
+  try {
+    const subscription = req.subscription;
+    subscription.status = 'cancelled';
+    subscription.cancelledAt = req.body.cancelledAt ? new Date(req.body.cancelledAt) : new Date();
+    subscription.chargedAfterCancellation = subscription.lastChargeAt > subscription.cancelledAt;
+    await subscription.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscription marked as cancelled',
+      data: { subscription }
+    });
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to cancel subscription',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+  listTags,
+  tagReport,
+  replaceTags,
+  deleteTag,
+  normalizeTagCase
+} = require('../services/tag');
+
+const router = express.Router();
+
+const tagName = (field) => body(field)
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 20 })
+  .withMessage('Tags must be between 1 and 20 characters');
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Get the user's tags with usage counts and spending
+// @route   GET /api/tags
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const currency = req.user.currency;
+    const { tags, missingRates } = await listTags(req.user._id, currency);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        currency,
+        tags,
+        missingRates
+      }
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get tags',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Spending per tag, overall and per month (?startDate=&endDate=&tags=a,b)
+// @route   GET /api/tags/report
+// @access  Private
+router.get('/report', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    let dateFilter;
+    if (startDate || endDate) {
+      dateFilter = {};
+      if (startDate) dateFilter.$gte = new Date(startDate);
+      if (endDate) dateFilter.$lte = new Date(endDate);
+    }
+    const tags = req.query.tags
+      ? String(req.query.tags).split(',').map(tag => tag.trim()).filter(Boolean)
+      : undefined;
+    const currency = req.user.currency;
+    const report = await tagReport(req.user._id, { dateFilter, tags, currency });
+    res.status(200).json({
+      status: 'success',
+      data: {
+        currency,
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Get tag report error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get tag report',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Merge several tags into one
+// @route   POST /api/tags/merge
+// @access  Private
+router.post('/merge', [
+  body('tags')
+    .isArray({ min: 1 })
+    .withMessage('Tags to merge are required'),
+  tagName('tags.*'),
+  tagName('into'),
+  validate
+], async (req, res) => {
+  try {
+    const { into } = req.body;
+    const from = req.body.tags.filter(tag => tag !== into);
+    const updated = await replaceTags(req.user._id, from, into, req.user);
+    res.status(200).json({
+      status: 'success',
+      message: 'Tags merged successfully',
+      data: { from, into, updated }
+    });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to merge tags',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Collapse tags that differ only by case (mode: most-used or lower)
+// @route   POST /api/tags/normalize
+// @access  Private
+router.post('/normalize', [
+  body('mode')
+    .optional()
+    .isIn(['most-used', 'lower'])
+    .withMessage('mode must be most-used or lower'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(),
+  validate
+], async (req, res) => {
+  try {
+    const { mode, dryRun } = req.body;
+    const changes = await normalizeTagCase(req.user._id, { mode, dryRun, actor: req.user });
+    res.status(200).json({
+      status: 'success',
+      message: dryRun ? 'Tag normalisation preview' : 'Tags normalised successfully',
+      data: { changes, dryRun: Boolean(dryRun) }
+    });
+  } catch (error) {
+    console.error('Normalize tags error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to normalise tags',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Rename a tag on every expense
+// @route   PUT /api/tags/:tag
+// @access  Private
+router.put('/:tag', [tagName('name'), validate], async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (name === req.params.tag) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'New name is the same as the current one'
+      });
+    }
+    const updated = await replaceTags(req.user._id, [req.params.tag], name, req.user);
+    if (updated.expenses === 0 && updated.recurring === 0 && updated.budgets === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Tag not found'
+      });
+    }
+    res.status(200).json({
+      status: 'success',
+      message: 'Tag renamed successfully',
+      data: { from: req.params.tag, to: name, updated }
+    });
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to rename tag',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Remove a tag from every expense
+// @route   DELETE /api/tags/:tag
+// @access  Private
+router.delete('/:tag', async (req, res) => {
+  try {
+    const updated = await deleteTag(req.user._id, req.params.tag, req.user);
+    if (updated.expenses === 0 && updated.recurring === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Tag not found'
+      });
+    }
+    res.status(200).json({
+      status: 'success',
+      message: 'Tag deleted successfully',
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete tag',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
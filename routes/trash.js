@@ -0,0 +1,155 @@
+const express = require('express');
+const Expense = require('../models/Expense');
+const Group = require('../models/Group');
+const { protect } = require('../middleware/auth');
+const { authorizeExpense } = require('../services/permission');
+const {
+  trashRetentionDays,
+  purgeDateOf,
+  restoreExpense,
+  purgeExpenses
+} = require('../services/trash');
+
+const router = express.Router();
+
+const inTrash = { deletedAt: { $ne: null } };
+
+const withPurgeDate = (expense) => ({ ...expense.toJSON(), purgeAt: purgeDateOf(expense) });
+
+// Load the trashed expense from :id and check ownership
+const loadTrashedExpense = async (req, res, next) => {
+  try {
+    const expense = await Expense.findOne({ _id: req.params.id, ...inTrash });
+    if (!expense) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Expense not found in trash'
+      });
+    }
+    if (!await authorizeExpense(req.user, expense, 'delete')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access this expense'
+      });
+    }
+    req.expense = expense;
+    next();
+  } catch (error) {
+    console.error('Load trashed expense error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get expense',
+      error: error.message
+    });
+  }
+};
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    List expenses in the trash, most recently deleted first
+// @route   GET /api/trash
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const filter = { user: req.user._id, ...inTrash };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const expenses = await Expense.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await Expense.countDocuments(filter);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        retentionDays: trashRetentionDays(),
+        expenses: expenses.map(withPurgeDate),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get trash',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Restore an expense from the trash
+// @route   POST /api/trash/:id/restore
+// @access  Private
+router.post('/:id/restore', loadTrashedExpense, async (req, res) => {
+  try {
+    const expense = req.expense;
+    if (expense.group && !await Group.exists({ _id: expense.group, 'members.user': expense.user })) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The group this expense was shared in no longer includes its payer'
+      });
+    }
+    await restoreExpense(expense, req.user);
+    res.status(200).json({
+      status: 'success',
+      message: 'Expense restored successfully',
+      data: { expense }
+    });
+  } catch (error) {
+    console.error('Restore expense error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to restore expense',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Permanently delete an expense in the trash
+// @route   DELETE /api/trash/:id
+// @access  Private
+router.delete('/:id', loadTrashedExpense, async (req, res) => {
+  try {
+    await purgeExpenses({ _id: req.expense._id }, req.user);
+    res.status(200).json({
+      status: 'success',
+      message: 'Expense permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge expense error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete expense',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Empty the trash
+// @route   DELETE /api/trash
+// @access  Private
+router.delete('/', async (req, res) => {
+  try {
+    const deleted = await purgeExpenses({ user: req.user._id, ...inTrash }, req.user);
+    res.status(200).json({
+      status: 'success',
+      message: 'Trash emptied successfully',
+      data: { deleted }
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to empty trash',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
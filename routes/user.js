@@ -1,7 +1,11 @@
 const express = require('express');
 const { body } = require('express-validator');
 const User = require('../models/User');
+const CURRENCIES = require('../utils/currencies');
 const { protect } = require('../middleware/auth');
+const { createSession, revokeAllSessions } = require('../services/token');
+const { scheduleAccountDeletion } = require('../services/trash');
+const { sendPasswordChangedEmail } = require('../services/email');
 
 const router = express.Router();
 
@@ -23,7 +27,7 @@ const updateProfileValidation = [
     .withMessage('Monthly budget must be a positive number'),
   body('currency')
     .optional()
-    .isIn(['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD'])
+    .isIn(CURRENCIES)
     .withMessage('Invalid currency')
 ];
 
@@ -122,9 +126,18 @@ router.put('/change-password', changePasswordValidation, async (req, res) => {
     }
     user.password = newPassword;
     await user.save();
+    // Sign out everywhere, then hand this device a fresh session
+    await revokeAllSessions(user._id, 'password_change');
+    const { token, refreshToken } = await createSession(user, req);
+    sendPasswordChangedEmail(user)
+      .catch(error => console.error('Send password changed email error:', error));
     res.status(200).json({
       status: 'success',
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -136,7 +149,7 @@ router.put('/change-password', changePasswordValidation, async (req, res) => {
   }
 });
 
-// @desc    Delete user account
+// @desc    Delete user account (purged with its data after a grace period)
 // @route   DELETE /api/user/profile
 // @access  Private
 router.delete('/profile', deleteAccountValidation, async (req, res) => {
@@ -156,10 +169,11 @@ router.delete('/profile', deleteAccountValidation, async (req, res) => {
         message: 'Password is incorrect'
       });
     }
-    await user.deleteOne();
+    await scheduleAccountDeletion(user);
     res.status(200).json({
       status: 'success',
-      message: 'Account deleted successfully'
+      message: 'Account scheduled for deletion. Restore it through /api/auth/restore-account before purgeAt to keep it.',
+      data: { purgeAt: user.purgeAt }
     });
   } catch (error) {
     console.error('Delete account error:', error);
@@ -0,0 +1,31 @@
+// Give expenses created before per-expense currencies existed the home
+// currency of their owner.
+//
+// Usage: npm run migrate:currency
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const users = await User.find().select('currency');
+  let updated = 0;
+  for (const user of users) {
+    const result = await Expense.updateMany(
+      { user: user._id, currency: { $exists: false } },
+      { currency: user.currency }
+    );
+    updated += result.modifiedCount;
+  }
+  console.log(`✅ Set currency on ${updated} expense(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Currency backfill failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
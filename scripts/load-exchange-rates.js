@@ -0,0 +1,63 @@
+// Load historical exchange rates from a file.
+//
+// Usage: npm run rates:load -- <file>
+//
+// JSON files hold an array of days:
+//   [{ "date": "2026-01-02", "base": "EUR", "rates": { "USD": 1.03, "GBP": 0.83 } }]
+// CSV files have a header row of date,currency,rate with an optional base
+// column (defaults to EXCHANGE_RATE_BASE).
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { parseCSV } = require('../utils/csv');
+const { rateBase, saveRates } = require('../services/currency');
+
+dotenv.config();
+
+const readDays = (file) => {
+  const text = fs.readFileSync(file, 'utf8');
+  if (path.extname(file).toLowerCase() === '.json') {
+    return JSON.parse(text);
+  }
+
+  const [header, ...records] = parseCSV(text);
+  const column = (name) => header.findIndex(value => value.trim().toLowerCase() === name);
+  const [dateCol, currencyCol, rateCol, baseCol] = ['date', 'currency', 'rate', 'base'].map(column);
+  if (dateCol === -1 || currencyCol === -1 || rateCol === -1) {
+    throw new Error('CSV must have date, currency and rate columns');
+  }
+
+  const days = new Map();
+  records.forEach(record => {
+    if (record.every(value => value.trim() === '')) return;
+    const base = baseCol === -1 ? rateBase() : record[baseCol].trim();
+    const key = `${record[dateCol].trim()}|${base}`;
+    if (!days.has(key)) days.set(key, { date: record[dateCol].trim(), base, rates: {} });
+    days.get(key).rates[record[currencyCol].trim().toUpperCase()] = parseFloat(record[rateCol]);
+  });
+  return [...days.values()];
+};
+
+const run = async () => {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: npm run rates:load -- <file.json|file.csv>');
+    process.exit(1);
+  }
+
+  const days = readDays(file);
+  await mongoose.connect(process.env.MONGODB_URI);
+  let saved = 0;
+  for (const day of days) {
+    saved += await saveRates({ ...day, source: path.basename(file) });
+  }
+  console.log(`✅ Saved ${saved} exchange rate(s) for ${days.length} day(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Failed to load exchange rates:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
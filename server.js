@@ -11,7 +11,28 @@ dotenv.config();
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const expenseRoutes = require('./routes/expense');
+const recurringRoutes = require('./routes/recurring');
+const savedFilterRoutes = require('./routes/savedFilter');
+const ruleRoutes = require('./routes/rule');
+const duplicateRoutes = require('./routes/duplicate');
 const adminRoutes = require('./routes/admin');
+const budgetRoutes = require('./routes/budget');
+const notificationRoutes = require('./routes/notification');
+const categoryRoutes = require('./routes/category');
+const groupRoutes = require('./routes/group');
+const incomeRoutes = require('./routes/income');
+const tagRoutes = require('./routes/tag');
+const trashRoutes = require('./routes/trash');
+const analyticsRoutes = require('./routes/analytics');
+const forecastRoutes = require('./routes/forecast');
+const insightRoutes = require('./routes/insight');
+const subscriptionRoutes = require('./routes/subscription');
+const approvalRoutes = require('./routes/approval');
+const organizationRoutes = require('./routes/organization');
+const { startScheduler } = require('./services/recurring');
+const { ensureSystemCategories } = require('./services/category');
+const { startPurgeScheduler } = require('./services/trash');
+const { startSubscriptionScheduler } = require('./services/subscription');
 
 const app = express();
 
@@ -27,14 +48,39 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+  startScheduler();
+  startPurgeScheduler();
+  startSubscriptionScheduler();
+  ensureSystemCategories()
+    .catch((err) => console.error('❌ Failed to seed system categories:', err));
+})
 .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
+// Mounted before expenseRoutes so they are not captured by /:id
+app.use('/api/expenses/recurring', recurringRoutes);
+app.use('/api/expenses/saved-filters', savedFilterRoutes);
+app.use('/api/expenses/rules', ruleRoutes);
+app.use('/api/expenses/duplicates', duplicateRoutes);
 app.use('/api/expenses', expenseRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/income', incomeRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/forecast', forecastRoutes);
+app.use('/api/insights', insightRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/organizations', organizationRoutes);
 
 
 // Error handling middleware
@@ -0,0 +1,369 @@
+const mongoose = require('mongoose');
+const { convertedDailyTotals, groupTotals } = require('./currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRANULARITIES = ['day', 'week', 'month', 'year'];
+const BREAKDOWNS = ['category', 'paymentMethod', 'tag', 'location'];
+const COMPARISONS = ['previous', 'year'];
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Longest series returned in one request
+const MAX_BUCKETS = 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const percentChange = (current, previous) => (previous === 0
+  ? null
+  : Math.round(((current - previous) / previous) * 1000) / 10);
+
+const startOfUTCDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const addUTCMonths = (date, months) => {
+  const shifted = new Date(date);
+  shifted.setUTCMonth(shifted.getUTCMonth() + months);
+  return shifted;
+};
+
+// Start of the bucket `date` falls in. Weeks start on Monday.
+const bucketStart = (date, granularity) => {
+  const day = startOfUTCDay(date);
+  if (granularity === 'week') {
+    return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  }
+  if (granularity === 'month') return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  if (granularity === 'year') return new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  return day;
+};
+
+const nextBucket = (start, granularity) => {
+  if (granularity === 'week') return new Date(start.getTime() + 7 * DAY_MS);
+  if (granularity === 'month') return addUTCMonths(start, 1);
+  if (granularity === 'year') return addUTCMonths(start, 12);
+  return new Date(start.getTime() + DAY_MS);
+};
+
+// Label of a bucket: 2026-03-14 (day and week, by its first day), 2026-03, 2026
+const bucketLabel = (start, granularity) => {
+  const iso = start.toISOString();
+  if (granularity === 'month') return iso.slice(0, 7);
+  if (granularity === 'year') return iso.slice(0, 4);
+  return iso.slice(0, 10);
+};
+
+// Default range when no startDate is given: the last 30 days, or the last
+// 12 weeks, 12 months or 5 years including the current one
+const defaultStart = (end, granularity) => {
+  const today = new Date(end.getTime() - DAY_MS);
+  if (granularity === 'week') return new Date(bucketStart(today, 'week').getTime() - 11 * 7 * DAY_MS);
+  if (granularity === 'month') return addUTCMonths(bucketStart(today, 'month'), -11);
+  if (granularity === 'year') return addUTCMonths(bucketStart(today, 'year'), -48);
+  return new Date(end.getTime() - 30 * DAY_MS);
+};
+
+// Range given by `startDate` and `endDate` (both days inclusive, endDate
+// defaulting to today), as { start, end } with `end` exclusive
+const parseRange = ({ startDate, endDate } = {}, granularity = 'day') => {
+  const end = new Date(startOfUTCDay(endDate || new Date()).getTime() + DAY_MS);
+  const start = startDate ? startOfUTCDay(startDate) : defaultStart(end, granularity);
+  if (start >= end) {
+    throw Object.assign(new Error('startDate must not be after endDate'), { status: 400 });
+  }
+  return { start, end };
+};
+
+// The range to compare against: the same length just before, or the same
+// dates a year earlier. Whole calendar months compare with the same number
+// of months before.
+const comparisonRange = ({ start, end }, compare) => {
+  if (compare === 'year') return { start: addUTCMonths(start, -12), end: addUTCMonths(end, -12) };
+  if (start.getUTCDate() === 1 && end.getUTCDate() === 1) {
+    const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+    return { start: addUTCMonths(start, -months), end: start };
+  }
+  const length = end.getTime() - start.getTime();
+  return { start: new Date(start.getTime() - length), end: start };
+};
+
+const describeRange = ({ start, end }) => ({
+  startDate: start,
+  endDate: new Date(end.getTime() - DAY_MS)
+});
+
+// `scope` is whose expenses to count: { user } or { organization }.
+// Aggregations need ObjectIds; a string id would match nothing. Cancelled
+// (and rejected) expenses are left out, as they are for budgets.
+const scopeMatch = (scope, { start, end }) => {
+  const match = { status: { $ne: 'cancelled' }, date: { $gte: start, $lt: end } };
+  Object.keys(scope).forEach(field => {
+    match[field] = new mongoose.Types.ObjectId(String(scope[field]));
+  });
+  return match;
+};
+
+const mergeMissing = (...lists) => [...new Set([].concat(...lists))];
+
+const rangeTotals = async (scope, range, currency) => {
+  const { rows, missingRates } = await convertedDailyTotals(scopeMatch(scope, range), {}, currency);
+  const { total = 0, count = 0 } = groupTotals(rows)[0] || {};
+  const days = Math.round((range.end - range.start) / DAY_MS);
+  return {
+    ...describeRange(range),
+    total,
+    count,
+    averageExpense: count > 0 ? round(total / count) : 0,
+    dailyAverage: round(total / days),
+    missingRates
+  };
+};
+
+// Spending per bucket of `granularity`, with empty buckets filled in
+const seriesFor = async (scope, range, granularity, currency) => {
+  const { rows, missingRates } = await convertedDailyTotals(scopeMatch(scope, range), {}, currency);
+  const totals = new Map(groupTotals(rows, row => bucketLabel(bucketStart(row.date, granularity), granularity))
+    .map(group => [group._id, group]));
+
+  const series = [];
+  for (let start = bucketStart(range.start, granularity); start < range.end; start = nextBucket(start, granularity)) {
+    const period = bucketLabel(start, granularity);
+    const group = totals.get(period);
+    series.push({ period, start, total: group ? group.total : 0, count: group ? group.count : 0 });
+  }
+  return { series, missingRates };
+};
+
+const countBuckets = (range, granularity) => {
+  let count = 0;
+  for (let start = bucketStart(range.start, granularity); start < range.end && count <= MAX_BUCKETS; start = nextBucket(start, granularity)) {
+    count += 1;
+  }
+  return count;
+};
+
+// Spending over `range` per bucket. With `compare` the comparison range is
+// bucketed the same way and lined up with it bucket by bucket.
+const timeSeries = async (scope, { range, granularity = 'month', currency, compare }) => {
+  if (countBuckets(range, granularity) > MAX_BUCKETS) {
+    throw Object.assign(new Error(`Range is too long for ${granularity} buckets (at most ${MAX_BUCKETS})`), { status: 400 });
+  }
+  const current = await seriesFor(scope, range, granularity, currency);
+  const result = {
+    ...describeRange(range),
+    granularity,
+    series: current.series,
+    missingRates: current.missingRates
+  };
+  if (compare) {
+    const previousRange = comparisonRange(range, compare);
+    const previous = await seriesFor(scope, previousRange, granularity, currency);
+    result.comparison = { compare, ...describeRange(previousRange) };
+    result.series = current.series.map((bucket, i) => {
+      const before = previous.series[i] || { total: 0, count: 0 };
+      return {
+        ...bucket,
+        previousPeriod: before.period,
+        previousTotal: before.total,
+        change: round(bucket.total - before.total),
+        percentChange: percentChange(bucket.total, before.total)
+      };
+    });
+    result.missingRates = mergeMissing(current.missingRates, previous.missingRates);
+  }
+  return result;
+};
+
+// Pipeline prefix and group key for each breakdown dimension
+const breakdownStages = (by, match) => {
+  if (by === 'tag') {
+    return {
+      stages: [
+        { $match: { ...match, tags: { $exists: true, $ne: [] } } },
+        { $unwind: '$tags' }
+      ],
+      keys: { value: '$tags' }
+    };
+  }
+  if (by === 'location') {
+    return {
+      stages: [{ $match: { ...match, location: { $nin: [null, ''] } } }],
+      keys: { value: '$location' }
+    };
+  }
+  return { stages: [{ $match: match }], keys: { value: `$${by}` } };
+};
+
+const breakdownFor = async (scope, range, by, currency) => {
+  const { stages, keys } = breakdownStages(by, scopeMatch(scope, range));
+  const { rows, missingRates } = await convertedDailyTotals(stages, keys, currency);
+  return { groups: groupTotals(rows, row => row.key.value), missingRates };
+};
+
+// Spending over `range` split by category, payment method, tag or location,
+// largest first, with each value's share of the total. Tagged expenses count
+// once per tag, so tag shares can add up to more than 100%.
+const breakdown = async (scope, { range, by = 'category', currency, compare }) => {
+  const [current, { total }] = await Promise.all([
+    breakdownFor(scope, range, by, currency),
+    rangeTotals(scope, range, currency)
+  ]);
+  let previous;
+  let previousRange;
+  if (compare) {
+    previousRange = comparisonRange(range, compare);
+    previous = await breakdownFor(scope, previousRange, by, currency);
+  }
+  const previousTotals = new Map(previous ? previous.groups.map(group => [group._id, group.total]) : []);
+  // Values only seen in the comparison range are listed with nothing spent
+  const groups = current.groups.concat(previous
+    ? previous.groups
+      .filter(group => !current.groups.some(currentGroup => currentGroup._id === group._id))
+      .map(group => ({ _id: group._id, total: 0, count: 0 }))
+    : []);
+
+  const items = groups
+    .sort((a, b) => b.total - a.total)
+    .map(group => {
+      const item = {
+        [by]: group._id,
+        total: group.total,
+        count: group.count,
+        share: total > 0 ? Math.round((group.total / total) * 1000) / 10 : 0
+      };
+      if (previous) {
+        const before = previousTotals.get(group._id) || 0;
+        item.previousTotal = before;
+        item.change = round(group.total - before);
+        item.percentChange = percentChange(group.total, before);
+      }
+      return item;
+    });
+
+  return {
+    ...describeRange(range),
+    by,
+    total,
+    items,
+    ...(previous ? { comparison: { compare, ...describeRange(previousRange) } } : {}),
+    missingRates: mergeMissing(current.missingRates, previous ? previous.missingRates : [])
+  };
+};
+
+// Totals for `range` next to the comparison range, with the categories that
+// moved the most
+const summary = async (scope, { range, currency, compare = 'previous' }) => {
+  const previousRange = comparisonRange(range, compare);
+  const [current, previous, categories] = await Promise.all([
+    rangeTotals(scope, range, currency),
+    rangeTotals(scope, previousRange, currency),
+    breakdown(scope, { range, by: 'category', currency, compare })
+  ]);
+  const { missingRates: currentMissing, ...currentTotals } = current;
+  const { missingRates: previousMissing, ...previousTotals } = previous;
+  return {
+    compare,
+    current: currentTotals,
+    previous: previousTotals,
+    change: round(current.total - previous.total),
+    percentChange: percentChange(current.total, previous.total),
+    topCategories: categories.items.filter(item => item.total > 0).slice(0, 5),
+    biggestMovers: categories.items
+      .filter(item => item.change !== 0)
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+      .slice(0, 5),
+    missingRates: mergeMissing(currentMissing, previousMissing, categories.missingRates)
+  };
+};
+
+// Spending by day of the week (Monday first), plus a week-by-week grid of
+// daily totals for calendar heatmaps
+const heatmap = async (scope, { range, currency }) => {
+  const { rows, missingRates } = await convertedDailyTotals(scopeMatch(scope, range), {}, currency);
+  const byDay = new Map(groupTotals(rows, row => row.date.toISOString().slice(0, 10))
+    .map(group => [group._id, group]));
+
+  const weekdays = DAY_NAMES.map((day, index) => ({ dayOfWeek: index + 1, day, total: 0, count: 0, days: 0 }));
+  const weeks = [];
+  for (let day = startOfUTCDay(range.start); day < range.end; day = new Date(day.getTime() + DAY_MS)) {
+    const key = day.toISOString().slice(0, 10);
+    const group = byDay.get(key) || { total: 0, count: 0 };
+    const index = (day.getUTCDay() + 6) % 7;
+    weekdays[index].total += group.total;
+    weekdays[index].count += group.count;
+    weekdays[index].days += 1;
+
+    const weekStart = bucketLabel(bucketStart(day, 'week'), 'week');
+    if (weeks.length === 0 || weeks[weeks.length - 1].weekStart !== weekStart) {
+      weeks.push({ weekStart, days: new Array(7).fill(null) });
+    }
+    weeks[weeks.length - 1].days[index] = { date: key, total: group.total, count: group.count };
+  }
+
+  return {
+    ...describeRange(range),
+    weekdays: weekdays.map(({ days, ...weekday }) => ({
+      ...weekday,
+      total: round(weekday.total),
+      averagePerDay: days > 0 ? round(weekday.total / days) : 0
+    })),
+    weeks,
+    missingRates
+  };
+};
+
+// Merchant of an expense: its location when set, otherwise its title.
+// Spellings that differ only by case or surrounding spaces are combined.
+const merchantExpression = {
+  $trim: {
+    input: {
+      $cond: [{ $gt: [{ $strLenCP: { $ifNull: ['$location', ''] } }, 0] }, '$location', '$title']
+    }
+  }
+};
+
+const topMerchants = async (scope, { range, currency, limit = 10 }) => {
+  const { rows, missingRates } = await convertedDailyTotals(
+    scopeMatch(scope, range),
+    { merchant: merchantExpression },
+    currency
+  );
+
+  const merchants = new Map();
+  rows.forEach(row => {
+    const key = row.key.merchant.toLowerCase();
+    const merchant = merchants.get(key) || { total: 0, count: 0, lastDate: row.date, spellings: new Map() };
+    merchant.total += row.total;
+    merchant.count += row.count;
+    if (row.date > merchant.lastDate) merchant.lastDate = row.date;
+    merchant.spellings.set(row.key.merchant, (merchant.spellings.get(row.key.merchant) || 0) + row.count);
+    merchants.set(key, merchant);
+  });
+
+  const items = [...merchants.values()]
+    .map(merchant => ({
+      // The most used spelling
+      merchant: [...merchant.spellings.entries()].sort((a, b) => b[1] - a[1])[0][0],
+      total: round(merchant.total),
+      count: merchant.count,
+      averageExpense: round(merchant.total / merchant.count),
+      lastDate: merchant.lastDate
+    }))
+    .sort((a, b) => b.total - a.total || b.count - a.count)
+    .slice(0, limit);
+
+  return { ...describeRange(range), merchants: items, missingRates };
+};
+
+module.exports = {
+  GRANULARITIES,
+  BREAKDOWNS,
+  COMPARISONS,
+  parseRange,
+  timeSeries,
+  breakdown,
+  summary,
+  heatmap,
+  topMerchants
+};
@@ -0,0 +1,188 @@
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const { createConverter } = require('./currency');
+const { merchantOf } = require('../utils/merchant');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back an expense is compared, and how many earlier expenses are
+// needed before anything is called unusual
+const LOOKBACK_DAYS = 365;
+const MIN_SAMPLES = 5;
+
+// Modified z-score above which an amount is an outlier (Iglewicz & Hoaglin)
+const OUTLIER_SCORE = 3.5;
+const FREQUENCY_WINDOW_DAYS = 7;
+const FREQUENCY_BASELINE_DAYS = 84;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const quantile = (sorted, q) => {
+  if (sorted.length === 0) return 0;
+  const position = (sorted.length - 1) * q;
+  const low = Math.floor(position);
+  const high = Math.ceil(position);
+  return sorted[low] + (sorted[high] - sorted[low]) * (position - low);
+};
+
+const sortedAmounts = (items) => items.map(item => item.amount).sort((a, b) => a - b);
+
+// The user's expenses between `start` and `end`, with amounts converted
+// into `currency`, oldest first
+const loadHistory = async (userId, currency, start, end) => {
+  const expenses = await Expense.find({
+    user: userId,
+    status: { $ne: 'cancelled' },
+    date: { $gte: start, $lte: end }
+  })
+    .select('amount currency date category title location')
+    .sort({ date: 1 })
+    .lean();
+  if (expenses.length === 0) return [];
+
+  const currencies = [...new Set(expenses.map(expense => expense.currency || currency).concat(currency))];
+  const converter = await createConverter(currencies, start, end);
+  return expenses
+    .map(expense => ({
+      _id: expense._id.toString(),
+      date: expense.date,
+      category: String(expense.category).toLowerCase(),
+      merchant: merchantOf(expense),
+      amount: converter.convert(expense.amount, expense.currency || currency, currency, expense.date)
+    }))
+    .filter(expense => expense.amount !== null);
+};
+
+// Flags for one expense against the `history` before it. Each flag is
+// { type, severity, message }.
+const flagsFor = (expense, amount, history, currency) => {
+  const time = expense.date.getTime();
+  const id = expense._id.toString();
+  const category = String(expense.category).toLowerCase();
+  const prior = history.filter(item => item._id !== id &&
+    item.date.getTime() <= time &&
+    item.date.getTime() > time - LOOKBACK_DAYS * DAY_MS);
+  const sameCategory = prior.filter(item => item.category === category);
+  const format = (value) => `${round(value)} ${currency}`;
+  const flags = [];
+
+  // Far above the usual amount for the category
+  if (sameCategory.length >= MIN_SAMPLES) {
+    const amounts = sortedAmounts(sameCategory);
+    const median = quantile(amounts, 0.5);
+    const deviations = amounts.map(value => Math.abs(value - median)).sort((a, b) => a - b);
+    // Fall back to a tenth of the median when most amounts are identical
+    const mad = quantile(deviations, 0.5) || median / 10;
+    const score = mad > 0 ? 0.6745 * (amount - median) / mad : 0;
+    if (median > 0 && score > OUTLIER_SCORE && amount >= 2 * median) {
+      flags.push({
+        type: 'amount_outlier',
+        severity: amount >= 5 * median ? 'high' : 'medium',
+        message: `${format(amount)} is ${round(amount / median)}x your typical ${expense.category} expense of ${format(median)}`
+      });
+    }
+    // 12000 typed for 120.00
+    const shifted = amount / 100;
+    if (median > 0 && amount >= 50 * median &&
+        shifted >= quantile(amounts, 0.1) && shifted <= quantile(amounts, 0.9)) {
+      flags.push({
+        type: 'possible_decimal_error',
+        severity: 'high',
+        message: `Did you mean ${round(expense.amount / 100)}? The amount looks like it is missing a decimal point`
+      });
+    }
+  }
+
+  // A large amount at a merchant never used before
+  if (prior.length >= MIN_SAMPLES && !prior.some(item => item.merchant === merchantOf(expense))) {
+    const amounts = sortedAmounts(prior);
+    const median = quantile(amounts, 0.5);
+    if (median > 0 && amount >= 3 * median && amount >= quantile(amounts, 0.9)) {
+      flags.push({
+        type: 'first_time_large_purchase',
+        severity: amount >= 10 * median ? 'high' : 'medium',
+        message: `First expense at ${expense.location || expense.title}, and ${round(amount / median)}x your typical expense`
+      });
+    }
+  }
+
+  // Many more expenses in the category this week than usual
+  const windowStart = time - FREQUENCY_WINDOW_DAYS * DAY_MS;
+  const baselineStart = windowStart - FREQUENCY_BASELINE_DAYS * DAY_MS;
+  const recent = sameCategory.filter(item => item.date.getTime() > windowStart).length + 1;
+  const baseline = sameCategory.filter(item => item.date.getTime() > baselineStart &&
+    item.date.getTime() <= windowStart).length / (FREQUENCY_BASELINE_DAYS / FREQUENCY_WINDOW_DAYS);
+  if (sameCategory.length >= MIN_SAMPLES && recent >= 4 && recent >= 3 * Math.max(baseline, 1)) {
+    flags.push({
+      type: 'frequency_spike',
+      severity: 'low',
+      message: `${recent} ${expense.category} expenses in the last ${FREQUENCY_WINDOW_DAYS} days, against about ${round(baseline)} in a usual week`
+    });
+  }
+
+  return flags;
+};
+
+// Work out the anomaly flags of `expenses` (documents of one user) from that
+// user's history and store them. Flags the user dismissed stay dismissed
+// while the same flag still applies.
+const scoreExpenses = async (expenses, user) => {
+  if (expenses.length === 0) return expenses;
+  const currency = user.currency;
+  const dates = expenses.map(expense => expense.date.getTime());
+  const start = new Date(Math.min(...dates) - LOOKBACK_DAYS * DAY_MS);
+  const end = new Date(Math.max(...dates));
+  const history = await loadHistory(user._id, currency, start, end);
+  const converted = new Map(history.map(item => [item._id, item.amount]));
+
+  const currencies = [...new Set(expenses.map(expense => expense.currency || currency).concat(currency))];
+  const converter = await createConverter(currencies, start, end);
+
+  const operations = [];
+  expenses.forEach(expense => {
+    const amount = converted.has(expense._id.toString())
+      ? converted.get(expense._id.toString())
+      : converter.convert(expense.amount, expense.currency || currency, currency, expense.date);
+    const dismissed = new Set((expense.anomalies || [])
+      .filter(flag => flag.dismissed)
+      .map(flag => flag.type));
+    const flags = amount === null || expense.status === 'cancelled'
+      ? []
+      : flagsFor(expense, amount, history, currency).map(flag => ({ ...flag, dismissed: dismissed.has(flag.type) }));
+
+    expense.anomalies = flags;
+    operations.push({
+      updateOne: {
+        filter: { _id: expense._id },
+        update: { $set: { anomalies: flags } }
+      }
+    });
+  });
+  await Expense.bulkWrite(operations);
+  return expenses;
+};
+
+// Scoring runs after the expense itself has been saved, so a failure is
+// logged rather than failing the request. `user` made the change; each
+// expense is scored against its owner's history, which for an organization
+// manager or an admin editing someone else's expense is not theirs.
+const flagAnomalies = async (expenses, user) => {
+  try {
+    const byOwner = new Map();
+    [].concat(expenses).forEach(expense => {
+      const ownerId = String((expense.user && expense.user._id) || expense.user);
+      byOwner.set(ownerId, (byOwner.get(ownerId) || []).concat(expense));
+    });
+    for (const [ownerId, owned] of byOwner) {
+      const owner = ownerId === String(user._id) ? user : await User.findById(ownerId).select('currency');
+      if (owner) await scoreExpenses(owned, owner);
+    }
+  } catch (error) {
+    console.error('Failed to check expenses for anomalies:', error);
+  }
+};
+
+module.exports = {
+  scoreExpenses,
+  flagAnomalies
+};
@@ -0,0 +1,122 @@
+const User = require('../models/User');
+const { notify } = require('./notification');
+const { recordApprovalStep } = require('./history');
+
+// Allowed steps of the approval workflow: the approval states each step can
+// start from, the state and expense status it leads to, and who may take it
+const TRANSITIONS = {
+  submit: { from: [undefined, 'rejected', 'withdrawn'], to: 'submitted', status: 'pending', by: 'owner' },
+  withdraw: { from: ['submitted'], to: 'withdrawn', status: 'completed', by: 'owner' },
+  approve: { from: ['submitted'], to: 'approved', status: 'completed', by: 'approver' },
+  reject: { from: ['submitted'], to: 'rejected', status: 'cancelled', by: 'approver' }
+};
+
+// Approval states in which an expense cannot be changed
+const LOCKED_STATES = ['submitted', 'approved'];
+
+const approvalError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const stateOf = (expense) => (expense.approval && expense.approval.state) || undefined;
+
+const ownerId = (expense) => (expense.user && expense.user._id) || expense.user;
+
+// Designated approvers of the expense, or admins when it has none. Owners
+// never sign off their own expenses.
+const canDecide = (expense, user) => {
+  if (user._id.equals(ownerId(expense))) return false;
+  return user.role === 'admin' || (expense.approval.approvers || []).some(id => id.equals(user._id));
+};
+
+// Why `expense` cannot be edited or deleted as asked, or null. `data` holds
+// the fields an edit would set. The status of an expense in the workflow is
+// only changed by its steps.
+const approvalLock = (expense, data) => {
+  const state = stateOf(expense);
+  if (state === 'submitted') return 'Expense is awaiting approval; withdraw it to make changes';
+  if (state === 'approved') return 'Approved expenses cannot be changed';
+  if (state && data && data.status !== undefined && data.status !== expense.status) {
+    return 'The status of an expense under approval changes through /api/approvals';
+  }
+  return null;
+};
+
+// Take workflow step `action` on `expense` as `actor`, record it in the
+// expense history and notify whoever acts next. Throws an error with a
+// `status` when the step is not allowed.
+const transition = async (expense, action, actor, comment) => {
+  const step = TRANSITIONS[action];
+  const state = stateOf(expense);
+  if (!step.from.includes(state)) {
+    throw approvalError(`Cannot ${action} an expense that is ${state || 'not submitted'}`);
+  }
+  if (step.by === 'owner' && !actor._id.equals(ownerId(expense))) {
+    throw approvalError(`Only the owner can ${action} an expense`, 403);
+  }
+  if (step.by === 'approver' && !canDecide(expense, actor)) {
+    throw approvalError(`Not authorized to ${action} this expense`, 403);
+  }
+  if (action === 'submit' && expense.group) {
+    throw approvalError('Shared group expenses cannot be submitted for approval');
+  }
+  if (action === 'reject' && !comment) {
+    throw approvalError('A comment is required to reject an expense');
+  }
+
+  const before = expense.toObject({ depopulate: true, virtuals: false });
+  if (action === 'submit') {
+    const owner = await User.findById(ownerId(expense)).select('approvers');
+    expense.reimbursable = true;
+    expense.approval = {
+      state: step.to,
+      approvers: (owner && owner.approvers) || [],
+      submittedAt: new Date(),
+      comment
+    };
+  } else {
+    expense.approval.state = step.to;
+    expense.approval.comment = comment;
+    if (step.by === 'approver') {
+      expense.approval.decidedAt = new Date();
+      expense.approval.decidedBy = actor._id;
+    }
+  }
+  expense.status = step.status;
+  await expense.save();
+  await recordApprovalStep(before, expense, actor, action, comment);
+  await notifyStep(expense, action, actor, comment);
+  return expense;
+};
+
+// Tell the approvers about a submission and the owner about a decision.
+// Never throws: the step itself has already been saved.
+const notifyStep = async (expense, action, actor, comment) => {
+  try {
+    const data = { expense: expense._id, action };
+    if (action === 'submit') {
+      await Promise.all(expense.approval.approvers.map(approver => notify(approver, {
+        type: 'approval',
+        title: 'Expense awaiting your approval',
+        message: `${actor.name} submitted "${expense.title}" (${expense.amount.toFixed(2)} ${expense.currency || ''})`.trim(),
+        data
+      })));
+    } else if (action === 'approve' || action === 'reject') {
+      await notify(ownerId(expense), {
+        type: 'approval',
+        title: action === 'approve' ? 'Expense approved' : 'Expense rejected',
+        message: (`"${expense.title}" was ${action === 'approve' ? 'approved' : 'rejected'} by ${actor.name}` +
+          (comment ? `: ${comment}` : '')).slice(0, 500),
+        data
+      });
+    }
+  } catch (error) {
+    console.error('Failed to send approval notification:', error);
+  }
+};
+
+module.exports = {
+  TRANSITIONS,
+  canDecide,
+  LOCKED_STATES,
+  approvalLock,
+  transition
+};
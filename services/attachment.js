@@ -0,0 +1,68 @@
+const { defaultDriver, getStorage } = require('./storage');
+
+const MAX_ATTACHMENTS = 10;
+
+// Download path served by the authenticated attachment route
+const downloadPath = (expense, attachment) =>
+  `/api/expenses/${expense._id}/attachments/${attachment._id}/download`;
+
+const removeAttachment = async (attachment) => {
+  await getStorage(attachment.storage).remove(attachment.public_id);
+};
+
+// Store uploaded files and record them on the expense. If any file fails to
+// store, the ones already written are removed again.
+const addAttachments = async (expense, files) => {
+  const driver = defaultDriver();
+  const storage = getStorage(driver);
+  const saved = [];
+
+  try {
+    for (const file of files) {
+      const { public_id, size } = await storage.save({
+        buffer: file.buffer,
+        filename: file.originalname,
+        mimetype: file.mimetype,
+        folder: `receipts/${expense.user}`
+      });
+      saved.push({
+        public_id,
+        filename: file.originalname,
+        mimetype: file.mimetype,
+        size,
+        storage: driver
+      });
+    }
+  } catch (error) {
+    await Promise.allSettled(saved.map(removeAttachment));
+    throw error;
+  }
+
+  const added = saved.map(attachment => {
+    expense.attachments.push(attachment);
+    const subdoc = expense.attachments[expense.attachments.length - 1];
+    subdoc.url = downloadPath(expense, subdoc);
+    return subdoc;
+  });
+  await expense.save();
+  return added;
+};
+
+// Remove every stored file of an expense. Failures are logged, not thrown,
+// so a missing file never blocks deleting the expense itself.
+const removeAllAttachments = async (expense) => {
+  const results = await Promise.allSettled((expense.attachments || []).map(removeAttachment));
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      console.error(`Failed to remove attachment ${expense.attachments[i].public_id}:`, result.reason);
+    }
+  });
+};
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  downloadPath,
+  addAttachments,
+  removeAttachment,
+  removeAllAttachments
+};
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const { convertedDailyTotals } = require('./currency');
+
+// Never walk more than this many periods for history or rollover
+const MAX_PERIODS = 120;
+
+// Start of the weekly (Monday), monthly or yearly period containing `date`
+const periodStart = (period, date) => {
+  const d = new Date(date);
+  switch (period) {
+    case 'weekly': {
+      const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+      const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+      start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+      return start;
+    }
+    case 'monthly':
+      return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+    case 'yearly':
+      return new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    default:
+      throw new Error(`Unknown budget period: ${period}`);
+  }
+};
+
+// Shift a period start by `count` periods (negative goes back)
+const shiftPeriod = (period, start, count) => {
+  const d = new Date(start);
+  if (period === 'weekly') d.setUTCDate(d.getUTCDate() + count * 7);
+  if (period === 'monthly') d.setUTCMonth(d.getUTCMonth() + count);
+  if (period === 'yearly') d.setUTCFullYear(d.getUTCFullYear() + count);
+  return d;
+};
+
+// Expense filter for everything a budget covers
+const budgetMatch = (budget) => {
+  const match = {
+    user: new mongoose.Types.ObjectId(budget.user.toString()),
+    status: { $ne: 'cancelled' }
+  };
+  if (budget.scope === 'category') match.category = budget.category;
+  if (budget.scope === 'tag') match.tags = budget.tag;
+  return match;
+};
+
+// Spending per period between consecutive `boundaries`, converted into
+// `currency`
+const spendingByPeriod = async (match, boundaries, currency) => {
+  const { rows, missingRates } = await convertedDailyTotals({
+    ...match,
+    date: { $gte: boundaries[0], $lt: boundaries[boundaries.length - 1] }
+  }, {}, currency);
+  const byStart = {};
+  rows.forEach(row => {
+    let i = boundaries.length - 2;
+    while (i > 0 && boundaries[i] > row.date) i -= 1;
+    const key = boundaries[i].getTime();
+    const bucket = byStart[key] || { total: 0, count: 0 };
+    bucket.total += row.total;
+    bucket.count += row.count;
+    byStart[key] = bucket;
+  });
+  return { byStart, missingRates };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Budget vs. actual for the current period and `periods - 1` before it,
+// newest first. With rollover enabled, unspent amounts are carried forward
+// from the period containing budget.startDate. Budgets are in the owner's
+// home `currency`; spending in other currencies is converted into it.
+const getBudgetHistory = async (budget, { periods = 1, now = new Date(), currency }) => {
+  const current = periodStart(budget.period, now);
+  let first = shiftPeriod(budget.period, current, -(periods - 1));
+  if (budget.rollover) {
+    const rolloverStart = periodStart(budget.period, budget.startDate);
+    if (rolloverStart < first) first = rolloverStart;
+  }
+  const earliest = shiftPeriod(budget.period, current, -(MAX_PERIODS - 1));
+  if (first < earliest) first = earliest;
+
+  const boundaries = [first];
+  while (boundaries[boundaries.length - 1] <= current) {
+    boundaries.push(shiftPeriod(budget.period, boundaries[boundaries.length - 1], 1));
+  }
+
+  const { byStart: spending, missingRates } = await spendingByPeriod(budgetMatch(budget), boundaries, currency);
+  const rolloverFrom = periodStart(budget.period, budget.startDate);
+
+  const history = [];
+  let carry = 0;
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i];
+    const bucket = spending[start.getTime()] || { total: 0, count: 0 };
+    const rolloverIn = budget.rollover && start > rolloverFrom ? carry : 0;
+    const available = budget.amount + rolloverIn;
+    history.push({
+      periodStart: start,
+      periodEnd: boundaries[i + 1],
+      limit: budget.amount,
+      rolloverIn: round(rolloverIn),
+      budget: round(available),
+      spent: round(bucket.total),
+      count: bucket.count,
+      remaining: round(available - bucket.total),
+      percentUsed: available > 0 ? round((bucket.total / available) * 100) : null,
+      missingRates
+    });
+    carry = start >= rolloverFrom ? Math.max(0, available - bucket.total) : 0;
+  }
+
+  return history.slice(-periods).reverse();
+};
+
+const getBudgetStatus = async (budget, { now = new Date(), currency }) => {
+  const [status] = await getBudgetHistory(budget, { periods: 1, now, currency });
+  return status;
+};
+
+// Spending against User.monthlyBudget for the month containing `now`
+const getMonthlyBudgetStatus = async (user, now = new Date()) => {
+  return getBudgetStatus({
+    user: user._id,
+    scope: 'overall',
+    amount: user.monthlyBudget,
+    period: 'monthly',
+    rollover: false,
+    startDate: now
+  }, { now, currency: user.currency });
+};
+
+module.exports = {
+  periodStart,
+  shiftPeriod,
+  getBudgetHistory,
+  getBudgetStatus,
+  getMonthlyBudgetStatus
+};
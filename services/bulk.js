@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const { listCategoryNames } = require('./category');
+const { checkBudgetThresholds } = require('./notification');
+const history = require('./history');
+const { flagAnomalies } = require('./anomaly');
+const { flagDuplicates } = require('./duplicate');
+const { approvalLock } = require('./approval');
+const { moveToTrash } = require('./trash');
+const { RULE_FIELDS, loadRules, evaluateRules } = require('./rules');
+const { hasPermission, loadOrganizationRoles, canAccessExpense } = require('./permission');
+const { FALLBACK_CATEGORY } = require('../utils/categories');
+
+const MAX_BULK_OPERATIONS = 500;
+
+// Fields an item may set on create or update
+const WRITABLE_FIELDS = [
+  'title', 'amount', 'currency', 'category', 'description', 'date',
+  'paymentMethod', 'location', 'tags', 'status', 'reimbursable'
+];
+
+const pickWritable = (data = {}) => {
+  const picked = {};
+  WRITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) picked[field] = data[field];
+  });
+  return picked;
+};
+
+const validationMessage = (error) => Object.values(error.errors)
+  .map(fieldError => fieldError.message)
+  .join(', ');
+
+// Check every item and build the document it will write, without touching
+// the database. Each result is { index, op, id, expense?, rules?, error? }.
+// Created expenses are filed in `organization`, if given, and the user's
+// rules fill in the fields their data leaves out, as on a single create.
+const prepareOperations = async (operations, user, { organization, organizationRole } = {}) => {
+  const ids = operations
+    .filter(operation => operation.op !== 'create' && mongoose.isValidObjectId(operation.id))
+    .map(operation => operation.id);
+  const creates = operations.some(operation => operation.op === 'create');
+  const [existing, categoryNames, rules] = await Promise.all([
+    // importHash is included so an undone update restores it too
+    Expense.find({ _id: { $in: ids } }).select('+importHash'),
+    listCategoryNames(user._id),
+    creates ? loadRules(user._id) : []
+  ]);
+  const byId = new Map(existing.map(expense => [expense._id.toString(), expense]));
+  const roles = await loadOrganizationRoles(user, existing.filter(expense => expense.organization)
+    .map(expense => expense.organization));
+  const categories = new Map(categoryNames.map(name => [name.toLowerCase(), name]));
+  const seen = new Set();
+
+  return operations.map((operation, index) => {
+    const result = { index, op: operation.op, id: operation.id };
+    const fail = (error) => ({ ...result, error });
+
+    if (operation.op === 'create') {
+      if (operation.data && operation.data.isRecurring) {
+        return fail('Recurring expenses must be created individually');
+      }
+      if (organization && !hasPermission(organizationRole, 'expenses:create')) {
+        return fail('Your role in this organization does not allow creating expenses');
+      }
+      const expense = new Expense({
+        ...pickWritable(operation.data),
+        currency: (operation.data && operation.data.currency) || (organization || user).currency,
+        user: user._id,
+        organization: organization && organization._id
+      });
+      const { set, matched } = evaluateRules(rules, expense, {
+        keep: RULE_FIELDS.filter(field => operation.data && operation.data[field] !== undefined),
+        recurring: false
+      });
+      expense.set(set);
+      if (!expense.category) expense.category = FALLBACK_CATEGORY;
+      result.id = expense._id;
+      result.expense = expense;
+      result.rules = matched.map(rule => rule.name);
+    } else {
+      const expense = byId.get(String(operation.id));
+      if (!expense) return fail('Expense not found');
+      if (seen.has(String(operation.id))) return fail('Expense appears more than once in this request');
+      seen.add(String(operation.id));
+      if (!canAccessExpense(user, expense, operation.op, roles)) {
+        return fail('Not authorized to change this expense');
+      }
+      const locked = approvalLock(expense, operation.op === 'update' ? operation.data || {} : undefined);
+      if (locked) return fail(locked);
+      if (expense.group) return fail('Shared expenses are edited through the group routes');
+      result.original = expense.toObject({ depopulate: true, virtuals: false });
+      result.expense = expense;
+      if (operation.op === 'delete') return result;
+
+      expense.set(pickWritable(operation.data));
+      const { addTags = [], removeTags = [] } = operation;
+      if (addTags.length > 0 || removeTags.length > 0) {
+        const tags = expense.tags.filter(tag => !removeTags.includes(tag));
+        addTags.forEach(tag => {
+          if (!tags.includes(tag)) tags.push(tag);
+        });
+        expense.tags = tags;
+      }
+    }
+
+    if (result.expense.isModified('category') || operation.op === 'create') {
+      const category = categories.get(String(result.expense.category || '').trim().toLowerCase());
+      if (!category) return fail('Invalid category');
+      result.expense.category = category;
+    }
+    const error = result.expense.validateSync();
+    if (error) return fail(validationMessage(error));
+    return result;
+  });
+};
+
+// Deleted items go to the trash. Their history is recorded once every
+// change stands.
+const applyOperation = async (item, user) => {
+  if (item.op === 'delete') moveToTrash(item.expense, user);
+  await item.expense.save();
+};
+
+// Put an applied item back the way it was
+const undoOperation = async (item) => {
+  if (item.op === 'create') {
+    await Expense.deleteOne({ _id: item.expense._id });
+  } else {
+    await Expense.replaceOne({ _id: item.original._id }, item.original);
+  }
+};
+
+// Run create/update/delete operations for `user`. Without `atomic` each
+// valid item is applied on its own. With `atomic` nothing is written unless
+// every item is valid, and if one fails while being applied, those already
+// applied are undone. `organization` and `organizationRole` are where new
+// expenses are filed. Returns { results, succeeded, failed, rolledBack }.
+const runBulkOperations = async (operations, user, { atomic = false, organization, organizationRole } = {}) => {
+  const prepared = await prepareOperations(operations, user, { organization, organizationRole });
+  const invalid = prepared.filter(item => item.error);
+  const results = prepared.map(({ index, op, id, rules, error }) => ({
+    index,
+    op,
+    id,
+    status: error ? 'failed' : 'pending',
+    rules,
+    error
+  }));
+
+  if (atomic && invalid.length > 0) {
+    results.forEach(result => {
+      if (result.status === 'pending') result.status = 'skipped';
+    });
+    return { results, succeeded: 0, failed: invalid.length, rolledBack: true };
+  }
+
+  const applied = [];
+  for (const item of prepared) {
+    if (item.error) continue;
+    try {
+      await applyOperation(item, user);
+      applied.push(item);
+      results[item.index].status = 'success';
+    } catch (error) {
+      results[item.index].status = 'failed';
+      results[item.index].error = error.message;
+      if (atomic) break;
+    }
+  }
+
+  const failed = results.filter(result => result.status === 'failed').length;
+  if (atomic && failed > 0) {
+    for (const item of applied.reverse()) {
+      try {
+        await undoOperation(item);
+        results[item.index].status = 'rolled_back';
+      } catch (error) {
+        console.error(`Bulk rollback of item ${item.index} failed:`, error);
+        results[item.index].status = 'rollback_failed';
+        results[item.index].error = error.message;
+      }
+    }
+    results.forEach(result => {
+      if (result.status === 'pending') result.status = 'skipped';
+    });
+    return { results, succeeded: 0, failed, rolledBack: true };
+  }
+
+  // Side effects that cannot be undone only run once the changes stand
+  for (const item of applied) {
+    if (item.op === 'delete') {
+      await history.recordDelete(item.expense, user, 'bulk');
+    } else {
+      if (item.op === 'create') {
+        await history.recordCreate(item.expense, user, 'bulk');
+      } else {
+        await history.recordUpdate(item.original, item.expense, user, 'bulk');
+      }
+      await checkBudgetThresholds(item.expense, user);
+    }
+  }
+  await flagAnomalies(applied.filter(item => item.op !== 'delete').map(item => item.expense), user);
+  await flagDuplicates(applied.filter(item => item.op === 'create').map(item => item.expense), user);
+
+  return { results, succeeded: applied.length, failed, rolledBack: false };
+};
+
+module.exports = {
+  MAX_BULK_OPERATIONS,
+  WRITABLE_FIELDS,
+  runBulkOperations
+};
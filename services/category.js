@@ -0,0 +1,78 @@
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const ExpenseRule = require('../models/ExpenseRule');
+const RecurringExpense = require('../models/RecurringExpense');
+const { DEFAULT_CATEGORIES } = require('../utils/categories');
+
+// Category names are compared case-insensitively
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// System categories plus the user's own
+const visibleTo = (userId) => ({ $or: [{ user: null }, { user: userId }] });
+
+// Create any missing system categories. Safe to run on every startup.
+const ensureSystemCategories = async () => {
+  await Category.bulkWrite(DEFAULT_CATEGORIES.map(({ name, color, icon }) => ({
+    updateOne: {
+      filter: { user: null, name },
+      update: { $setOnInsert: { user: null, name, color, icon, isSystem: true } },
+      upsert: true
+    }
+  })));
+};
+
+const findCategory = (userId, name) => Category.findOne({ ...visibleTo(userId), name: String(name).trim() })
+  .collation(CASE_INSENSITIVE);
+
+const listCategories = (userId) => Category.find(visibleTo(userId))
+  .sort({ isSystem: -1, name: 1 })
+  .collation(CASE_INSENSITIVE);
+
+const listCategoryNames = async (userId) => (await listCategories(userId).select('name'))
+  .map(category => category.name);
+
+// Move everything filed under `from` to `to`: expenses, recurring series,
+// category budgets and the rules that set it
+const reassignCategory = async (userId, from, to) => {
+  const filter = { user: userId, category: from };
+  const [expenses, recurring, budgets, rules] = await Promise.all([
+    // Trashed expenses too, so a restored one is not left on the old name
+    Expense.updateMany(filter, { category: to }).setOptions({ withDeleted: true }),
+    RecurringExpense.updateMany(filter, { category: to }),
+    Budget.updateMany({ ...filter, scope: 'category' }, { category: to }),
+    ExpenseRule.updateMany({ user: userId, 'actions.category': from }, { 'actions.category': to })
+  ]);
+  return {
+    expenses: expenses.modifiedCount,
+    recurring: recurring.modifiedCount,
+    budgets: budgets.modifiedCount,
+    rules: rules.modifiedCount
+  };
+};
+
+// Nest subcategories under their parents (expects lean documents)
+const buildTree = (categories) => {
+  const nodes = categories.map(category => ({ ...category, children: [] }));
+  const byId = new Map(nodes.map(node => [node._id.toString(), node]));
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent && byId.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+};
+
+module.exports = {
+  CASE_INSENSITIVE,
+  ensureSystemCategories,
+  findCategory,
+  listCategories,
+  listCategoryNames,
+  reassignCategory,
+  buildTree
+};
@@ -0,0 +1,180 @@
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const ExchangeRate = require('../models/ExchangeRate');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rateBase = () => process.env.EXCHANGE_RATE_BASE || 'USD';
+
+const startOfUTCDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Store one day's rates. `rates` maps currency codes to units per one
+// `base`; rates quoted against another base are re-based through the
+// configured base currency, which must then be among them.
+const saveRates = async ({ date, base = rateBase(), rates, source = 'manual' }) => {
+  const target = rateBase();
+  const day = startOfUTCDay(date);
+  let normalized = { ...rates };
+
+  if (base !== target) {
+    const targetRate = rates[target];
+    if (!targetRate) {
+      throw new Error(`Rates quoted in ${base} must include ${target}`);
+    }
+    normalized = {};
+    Object.keys(rates).forEach(currency => {
+      if (currency !== target) normalized[currency] = rates[currency] / targetRate;
+    });
+    normalized[base] = 1 / targetRate;
+  }
+  delete normalized[target];
+
+  const operations = Object.keys(normalized).map(currency => ({
+    updateOne: {
+      filter: { currency, date: day },
+      update: { base: target, currency, rate: normalized[currency], date: day, source },
+      upsert: true
+    }
+  }));
+  if (operations.length > 0) {
+    await ExchangeRate.bulkWrite(operations);
+  }
+  return operations.length;
+};
+
+// Load the rates needed to convert `currencies` between `startDate` and
+// `endDate`: every rate in the range plus the last one before it.
+const createConverter = async (currencies, startDate, endDate) => {
+  const base = rateBase();
+  const table = {};
+
+  await Promise.all(currencies.filter(currency => currency !== base).map(async currency => {
+    const inRange = { currency, date: { $lte: endDate } };
+    if (startDate) inRange.date.$gt = startDate;
+    const [before, within] = await Promise.all([
+      startDate
+        ? ExchangeRate.findOne({ currency, date: { $lte: startDate } }).sort({ date: -1 }).lean()
+        : null,
+      ExchangeRate.find(inRange).sort({ date: 1 }).lean()
+    ]);
+    table[currency] = [before, ...within].filter(Boolean)
+      .map(rate => ({ time: rate.date.getTime(), rate: rate.rate }));
+  }));
+
+  // Most recent rate on or before `date`, else the earliest known one
+  const rateOn = (currency, date) => {
+    if (currency === base) return 1;
+    const rates = table[currency];
+    if (!rates || rates.length === 0) return null;
+    const time = date.getTime();
+    let low = 0;
+    let high = rates.length - 1;
+    let found = 0;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (rates[mid].time <= time) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return rates[found].rate;
+  };
+
+  return {
+    rateOn,
+    // Returns null when either currency has no known rate
+    convert: (amount, from, to, date) => {
+      if (from === to) return amount;
+      const fromRate = rateOn(from, date);
+      const toRate = rateOn(to, date);
+      if (!fromRate || !toRate) return null;
+      return (amount / fromRate) * toRate;
+    }
+  };
+};
+
+// Sum documents of `Model` matching `match` per day, currency and the extra
+// group `keys` (e.g. { category: '$category' }), then convert each daily
+// total into `toCurrency` at that day's rate. `match` may also be an array
+// of pipeline stages (e.g. a $match and an $unwind). Documents without a
+// currency are taken to be in `fallbackCurrency`. Rows in currencies
+// without any known rate are left out and listed in `missingRates`.
+const convertedTotals = async (Model, match, keys, toCurrency, fallbackCurrency = toCurrency) => {
+  const groups = await Model.aggregate([
+    ...(Array.isArray(match) ? match : [{ $match: match }]),
+    {
+      $group: {
+        _id: {
+          ...keys,
+          currency: { $ifNull: ['$currency', fallbackCurrency] },
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } }
+        },
+        total: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  if (groups.length === 0) return { rows: [], missingRates: [] };
+
+  let first = Infinity;
+  let last = -Infinity;
+  groups.forEach(group => {
+    const time = new Date(group._id.day).getTime();
+    if (time < first) first = time;
+    if (time > last) last = time;
+  });
+  const currencies = [...new Set(groups.map(group => group._id.currency).concat(toCurrency))];
+  const converter = await createConverter(currencies, new Date(first), new Date(last + DAY_MS));
+
+  const missing = new Set();
+  const rows = [];
+  groups.forEach(group => {
+    const { currency, day, ...key } = group._id;
+    const date = new Date(day);
+    const total = converter.convert(group.total, currency, toCurrency, date);
+    if (total === null) {
+      missing.add(converter.rateOn(currency, date) ? toCurrency : currency);
+      return;
+    }
+    rows.push({ key, date, total, count: group.count });
+  });
+
+  return { rows, missingRates: [...missing] };
+};
+
+const convertedDailyTotals = (...args) => convertedTotals(Expense, ...args);
+
+// Same as convertedDailyTotals, for income
+const convertedIncomeTotals = (...args) => convertedTotals(Income, ...args);
+
+// Reduce converted rows to [{ _id, total, count }] by `keyFn`, the same
+// shape as a plain $group stage
+const groupTotals = (rows, keyFn = () => null) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const id = keyFn(row);
+    const mapKey = JSON.stringify(id);
+    const group = groups.get(mapKey) || { _id: id, total: 0, count: 0 };
+    group.total += row.total;
+    group.count += row.count;
+    groups.set(mapKey, group);
+  });
+  return [...groups.values()].map(group => ({ ...group, total: round(group.total) }));
+};
+
+module.exports = {
+  rateBase,
+  saveRates,
+  createConverter,
+  convertedDailyTotals,
+  convertedIncomeTotals,
+  groupTotals
+};
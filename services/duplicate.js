@@ -0,0 +1,219 @@
+const Expense = require('../models/Expense');
+const history = require('./history');
+const { trashExpense } = require('./trash');
+const { downloadPath } = require('./attachment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two expenses are probable duplicates when they are in the same currency,
+// at most DATE_WINDOW_DAYS apart, their amounts differ by at most
+// AMOUNT_TOLERANCE (relative) and their titles are at least TITLE_THRESHOLD
+// similar
+const DATE_WINDOW_DAYS = 3;
+const AMOUNT_TOLERANCE = 0.02;
+const TITLE_THRESHOLD = 0.7;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeTitle = (title) => String(title || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i++) pairs.push(compact.slice(i, i + 2));
+  return pairs;
+};
+
+// Dice coefficient over letter pairs, so "Starbucks" and "STARBUCKS #123"
+// or "Uber trip" and "Uber" come out close. Ignores case and punctuation.
+const titleSimilarity = (a, b) => {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (left === right) return 1;
+  if (!left || !right) return 0;
+  if (left.split(' ').includes(right) || right.split(' ').includes(left)) return 0.9;
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  if (leftPairs.length === 0 || rightPairs.length === 0) return 0;
+  const counts = new Map();
+  leftPairs.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+  let shared = 0;
+  rightPairs.forEach(pair => {
+    if (counts.get(pair) > 0) {
+      shared += 1;
+      counts.set(pair, counts.get(pair) - 1);
+    }
+  });
+  return (2 * shared) / (leftPairs.length + rightPairs.length);
+};
+
+const dismissedPair = (a, b) => (a.notDuplicates || []).some(id => id.equals(b._id)) ||
+  (b.notDuplicates || []).some(id => id.equals(a._id));
+
+// How alike two expenses are, or null when they are not probable duplicates.
+// The score weighs title, amount and date closeness from 0 to 1.
+const compareExpenses = (a, b) => {
+  if ((a.currency || '') !== (b.currency || '') || dismissedPair(a, b)) return null;
+  const daysApart = Math.abs(a.date.getTime() - b.date.getTime()) / DAY_MS;
+  if (daysApart > DATE_WINDOW_DAYS) return null;
+  const amountDifference = Math.abs(a.amount - b.amount);
+  const allowed = Math.max(0.01, AMOUNT_TOLERANCE * Math.max(a.amount, b.amount));
+  if (amountDifference > allowed) return null;
+  const similarity = titleSimilarity(a.title, b.title);
+  if (similarity < TITLE_THRESHOLD) return null;
+  return {
+    score: round(0.5 * similarity + 0.3 * (1 - amountDifference / allowed) + 0.2 * (1 - daysApart / DATE_WINDOW_DAYS)),
+    titleSimilarity: round(similarity),
+    amountDifference: round(amountDifference),
+    daysApart: round(daysApart)
+  };
+};
+
+// Expenses of the user that can take part in a duplicate: their own, not
+// shared through a group
+const candidateFilter = (userId, start, end) => ({
+  user: userId,
+  group: { $exists: false },
+  date: { $gte: start, $lte: end }
+});
+
+// Look for an existing expense each of `expenses` (new, of one user)
+// probably duplicates and store the best match as `duplicateOf`. Expenses
+// created together are not compared with each other: a statement can hold
+// two coffees on the same day.
+const flagDuplicates = async (expenses, user) => {
+  const items = [].concat(expenses).filter(expense => !expense.group);
+  if (items.length === 0) return;
+  try {
+    const dates = items.map(expense => expense.date.getTime());
+    const existing = await Expense.find({
+      ...candidateFilter(user._id,
+        new Date(Math.min(...dates) - DATE_WINDOW_DAYS * DAY_MS),
+        new Date(Math.max(...dates) + DATE_WINDOW_DAYS * DAY_MS)),
+      _id: { $nin: items.map(expense => expense._id) }
+    })
+      .select('title amount currency date notDuplicates')
+      .lean();
+
+    const operations = [];
+    items.forEach(expense => {
+      let best = null;
+      existing.forEach(other => {
+        const match = compareExpenses(expense, other);
+        if (match && (!best || match.score > best.score)) best = { ...match, expense: other._id };
+      });
+      if (!best) return;
+      expense.duplicateOf = best.expense;
+      operations.push({
+        updateOne: { filter: { _id: expense._id }, update: { $set: { duplicateOf: best.expense } } }
+      });
+    });
+    if (operations.length > 0) await Expense.bulkWrite(operations);
+  } catch (error) {
+    // Runs after the expenses are saved, so a failure is only logged
+    console.error('Failed to check expenses for duplicates:', error);
+  }
+};
+
+// The expense of a pair worth keeping: the one with more attached to it,
+// otherwise the one entered first
+const richness = (expense) => (expense.attachments || []).length * 4 +
+  (expense.tags || []).length + (expense.description ? 2 : 0) + (expense.location ? 1 : 0);
+
+const suggestKeep = (a, b) => {
+  const difference = richness(a) - richness(b);
+  if (difference !== 0) return difference > 0 ? a : b;
+  return a.createdAt <= b.createdAt ? a : b;
+};
+
+// Probable duplicate pairs among the user's expenses between `start` and
+// `end`, best matches first. Each pair is { score, ..., suggestedKeep, expenses }.
+const findDuplicatePairs = async (userId, start, end, maxScan) => {
+  const filter = candidateFilter(userId, start, end);
+  const total = await Expense.countDocuments(filter);
+  if (total > maxScan) {
+    throw Object.assign(
+      new Error(`At most ${maxScan} expenses can be checked at once; narrow the date range`),
+      { status: 400 }
+    );
+  }
+  const expenses = await Expense.find(filter).sort({ date: 1 }).lean();
+
+  const pairs = [];
+  expenses.forEach((expense, i) => {
+    for (let j = i + 1; j < expenses.length; j++) {
+      const other = expenses[j];
+      if (other.date.getTime() - expense.date.getTime() > DATE_WINDOW_DAYS * DAY_MS) break;
+      const match = compareExpenses(expense, other);
+      if (!match) continue;
+      const [first, second] = expense.createdAt <= other.createdAt ? [expense, other] : [other, expense];
+      pairs.push({
+        ...match,
+        suggestedKeep: suggestKeep(first, second)._id,
+        expenses: [first, second]
+      });
+    }
+  });
+  return pairs.sort((a, b) => b.score - a.score);
+};
+
+// Fold `others` into `keep`: tags and attachments are combined, and the
+// descriptions (and a missing location) are carried over. The others go to
+// the trash, and anything pointing at them as a duplicate now points at
+// `keep`. Returns the updated `keep`.
+const mergeExpenses = async (keep, others, actor) => {
+  const before = keep.toObject({ depopulate: true, virtuals: false });
+  const ids = others.map(other => other._id);
+
+  const tags = [...keep.tags];
+  const descriptions = keep.description ? [keep.description] : [];
+  others.forEach(other => {
+    other.tags.forEach(tag => {
+      if (!tags.includes(tag)) tags.push(tag);
+    });
+    if (other.description && !descriptions.includes(other.description)) descriptions.push(other.description);
+    if (!keep.location && other.location) keep.location = other.location;
+    other.attachments.forEach(attachment => {
+      keep.attachments.push(attachment.toObject());
+      const moved = keep.attachments[keep.attachments.length - 1];
+      moved.url = downloadPath(keep, moved);
+    });
+  });
+  keep.tags = tags;
+  keep.description = descriptions.join('\n').slice(0, 500) || undefined;
+  if (keep.duplicateOf && ids.some(id => id.equals(keep.duplicateOf))) keep.duplicateOf = undefined;
+  await keep.save();
+  await history.recordUpdate(before, keep, actor, 'merge');
+
+  // The files now belong to `keep`, so purging the others must not remove them
+  for (const other of others) {
+    other.attachments = [];
+    other.duplicateOf = undefined;
+    await trashExpense(other, actor, 'merge');
+  }
+  await Expense.updateMany({ duplicateOf: { $in: ids } }, { duplicateOf: keep._id });
+  return keep;
+};
+
+// Record that two expenses are not duplicates of each other
+const dismissPair = async (a, b) => {
+  await Promise.all([
+    Expense.updateOne({ _id: a._id }, { $addToSet: { notDuplicates: b._id } }),
+    Expense.updateOne({ _id: b._id }, { $addToSet: { notDuplicates: a._id } }),
+    Expense.updateMany({
+      $or: [{ _id: a._id, duplicateOf: b._id }, { _id: b._id, duplicateOf: a._id }]
+    }, { $unset: { duplicateOf: 1 } })
+  ]);
+};
+
+module.exports = {
+  titleSimilarity,
+  compareExpenses,
+  flagDuplicates,
+  findDuplicatePairs,
+  mergeExpenses,
+  dismissPair
+};
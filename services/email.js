@@ -0,0 +1,67 @@
+const { sendMail } = require('./mailer');
+
+// Links in emails point at the frontend, which calls the API with the token
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const sendLinkEmail = ({ user, subject, intro, link, action, outro }) => sendMail({
+  to: user.email,
+  subject,
+  text: `Hi ${user.name},\n\n${intro}\n\n${link}\n\n${outro}`,
+  html: `<p>Hi ${escapeHtml(user.name)},</p>`
+    + `<p>${escapeHtml(intro)}</p>`
+    + `<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>`
+    + `<p>${escapeHtml(outro)}</p>`
+});
+
+const sendVerificationEmail = (user, token) => sendLinkEmail({
+  user,
+  subject: 'Verify your ExpenseEase email',
+  intro: 'Please confirm your email address by opening the link below.',
+  link: `${appUrl()}/verify-email/${token}`,
+  action: 'Verify email',
+  outro: 'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+});
+
+const sendPasswordResetEmail = (user, token) => sendLinkEmail({
+  user,
+  subject: 'Reset your ExpenseEase password',
+  intro: 'We received a request to reset your password. Open the link below to choose a new one.',
+  link: `${appUrl()}/reset-password/${token}`,
+  action: 'Reset password',
+  outro: 'The link expires in 1 hour and can be used once. If you did not ask for this, you can ignore this email.'
+});
+
+const sendPasswordChangedEmail = (user) => sendMail({
+  to: user.email,
+  subject: 'Your ExpenseEase password was changed',
+  text: `Hi ${user.name},\n\nYour password was just changed and every device was signed out. `
+    + 'If this was not you, reset your password straight away.',
+  html: `<p>Hi ${escapeHtml(user.name)},</p>`
+    + '<p>Your password was just changed and every device was signed out. '
+    + 'If this was not you, reset your password straight away.</p>'
+});
+
+// `name` is the invitee's, or empty when they have no account yet
+const sendInvitationEmail = (invitation, { organization, inviter, name }) => sendLinkEmail({
+  user: { email: invitation.email, name: name || 'there' },
+  subject: `Join ${organization.name} on ExpenseEase`,
+  intro: `${inviter.name} invited you to ${organization.name} as a ${invitation.role}. `
+    + 'Sign in, or create an account, with this email address to accept.',
+  link: `${appUrl()}/invitations`,
+  action: 'View invitation',
+  outro: `The invitation expires on ${invitation.expiresAt.toISOString().slice(0, 10)}. `
+    + 'If you were not expecting it, you can ignore this email.'
+});
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendInvitationEmail
+};
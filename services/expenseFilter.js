@@ -0,0 +1,84 @@
+// Query parameters understood by the expense list, export and saved filters
+const FILTER_FIELDS = [
+  'q', 'category', 'startDate', 'endDate', 'minAmount', 'maxAmount', 'sortBy', 'sortOrder'
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a search string into MongoDB $text syntax and tag operators.
+//   coffee "team lunch" -refund  ->  words, phrases and exclusions for $text
+//   tag:travel or #travel        ->  expense must carry the tag
+const parseSearchQuery = (q) => {
+  const tags = [];
+  const terms = [];
+  const pattern = /(-?"[^"]*")|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(q))) !== null) {
+    const token = match[0];
+    const tag = /^(?:tag:|#)(.+)$/i.exec(token);
+    if (tag) {
+      tags.push(tag[1]);
+    } else if (!/^-?"*$/.test(token)) {
+      terms.push(token);
+    }
+  }
+  return { text: terms.join(' '), tags };
+};
+
+// `scope` picks whose expenses to search: { user } or { organization }
+const buildExpenseFilter = (query, scope) => {
+  const { q, category, startDate, endDate, minAmount, maxAmount } = query;
+  const filter = { ...scope };
+  if (q) {
+    const { text, tags } = parseSearchQuery(q);
+    if (text) filter.$text = { $search: text };
+    if (tags.length > 0) {
+      filter.tags = { $all: tags.map(tag => new RegExp(`^${escapeRegExp(tag)}$`, 'i')) };
+    }
+  }
+  if (category) filter.category = category;
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) filter.date.$lte = new Date(endDate);
+  }
+  if (minAmount || maxAmount) {
+    filter.amount = {};
+    if (minAmount) filter.amount.$gte = parseFloat(minAmount);
+    if (maxAmount) filter.amount.$lte = parseFloat(maxAmount);
+  }
+  return filter;
+};
+
+// Text searches are ranked by relevance unless another order is asked for
+const buildExpenseSort = ({ sortBy, sortOrder = 'desc' }, filter = {}) => {
+  if (filter.$text && (!sortBy || sortBy === 'relevance')) {
+    return { score: { $meta: 'textScore' }, date: -1 };
+  }
+  const sort = {};
+  sort[!sortBy || sortBy === 'relevance' ? 'date' : sortBy] = sortOrder === 'desc' ? -1 : 1;
+  return sort;
+};
+
+// Relevance score to include in results when the filter is a text search
+const buildExpenseProjection = (filter) => (filter.$text
+  ? { score: { $meta: 'textScore' } }
+  : undefined);
+
+// Keep only the recognised filter fields of a query object
+const pickFilterFields = (query) => {
+  const picked = {};
+  FILTER_FIELDS.forEach(field => {
+    if (query[field] !== undefined && query[field] !== '') picked[field] = String(query[field]);
+  });
+  return picked;
+};
+
+module.exports = {
+  FILTER_FIELDS,
+  parseSearchQuery,
+  buildExpenseFilter,
+  buildExpenseSort,
+  buildExpenseProjection,
+  pickFilterFields
+};
@@ -0,0 +1,191 @@
+const Expense = require('../models/Expense');
+const { createConverter } = require('./currency');
+const { toCSVRow } = require('../utils/csv');
+
+const EXPORT_FIELDS = 'title amount currency category description date paymentMethod location tags status';
+
+const isoDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// OFX dates are YYYYMMDDHHMMSS
+const ofxDate = (date) => new Date(date).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+// OFX 1.x is SGML: escape markup characters and keep values on one line
+const ofxText = (value, maxLength) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/[\r\n]+/g, ' ')
+  .slice(0, maxLength);
+
+// QIF fields are line based, so values must not contain newlines
+const qifText = (value) => String(value || '').replace(/[\r\n]+/g, ' ');
+
+const CSV_COLUMNS = ['Date', 'Title', 'Amount', 'Currency', 'Category', 'Description', 'Payment Method', 'Location', 'Tags', 'Status'];
+
+// Each exporter writes a header, one chunk per expense and a footer, after
+// an optional async prepare step. The context carries the user, the
+// `currency` totals are kept in, the `scope` of the export and the requested
+// date range.
+const exporters = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    fields: EXPORT_FIELDS,
+    header: () => toCSVRow(CSV_COLUMNS),
+    row: (expense) => toCSVRow([
+      isoDate(expense.date),
+      expense.title,
+      expense.amount.toFixed(2),
+      expense.currency,
+      expense.category,
+      expense.description,
+      expense.paymentMethod,
+      expense.location,
+      (expense.tags || []).join(';'),
+      expense.status
+    ]),
+    footer: () => ''
+  },
+
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    fields: EXPORT_FIELDS,
+    header: () => '[',
+    row: (expense, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify({
+      id: expense._id,
+      title: expense.title,
+      amount: expense.amount,
+      currency: expense.currency,
+      category: expense.category,
+      description: expense.description,
+      date: expense.date,
+      paymentMethod: expense.paymentMethod,
+      location: expense.location,
+      tags: expense.tags,
+      status: expense.status
+    })}`,
+    footer: (count) => (count > 0 ? '\n]\n' : ']\n')
+  },
+
+  ofx: {
+    contentType: 'application/x-ofx',
+    extension: 'ofx',
+    fields: EXPORT_FIELDS,
+    // A statement has one currency (CURDEF); other currencies need a rate
+    prepare: async (context) => {
+      const currencies = await Expense.distinct('currency', context.scope);
+      context.converter = await createConverter([...new Set([...currencies, context.currency])],
+        context.startDate, context.endDate || new Date());
+    },
+    header: ({ user, currency, startDate, endDate }) => {
+      const now = ofxDate(new Date());
+      return [
+        'OFXHEADER:100',
+        'DATA:OFXSGML',
+        'VERSION:102',
+        'SECURITY:NONE',
+        'ENCODING:USASCII',
+        'CHARSET:1252',
+        'COMPRESSION:NONE',
+        'OLDFILEUID:NONE',
+        'NEWFILEUID:NONE',
+        '',
+        '<OFX>',
+        '<SIGNONMSGSRSV1><SONRS>',
+        `<STATUS><CODE>0<SEVERITY>INFO</STATUS><DTSERVER>${now}<LANGUAGE>ENG`,
+        '</SONRS></SIGNONMSGSRSV1>',
+        '<BANKMSGSRSV1><STMTTRNRS>',
+        '<TRNUID>1<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+        `<STMTRS><CURDEF>${currency}`,
+        `<BANKACCTFROM><BANKID>EXPENSEEASE<ACCTID>${user._id}<ACCTTYPE>CHECKING</BANKACCTFROM>`,
+        `<BANKTRANLIST><DTSTART>${ofxDate(startDate || 0)}<DTEND>${ofxDate(endDate || new Date())}`,
+        ''
+      ].join('\r\n');
+    },
+    // Amounts in another currency carry it with its rate to CURDEF on the
+    // day. Without a known rate the currency is named in the memo instead.
+    row: (expense, index, { currency, converter }) => {
+      const foreign = Boolean(expense.currency) && expense.currency !== currency;
+      const rate = foreign ? converter.convert(1, expense.currency, currency, new Date(expense.date)) : null;
+      const memo = [foreign && !rate ? `Amount in ${expense.currency}` : '', expense.description || '']
+        .filter(Boolean)
+        .join(': ');
+      return [
+        '<STMTTRN>',
+        '<TRNTYPE>DEBIT',
+        `<DTPOSTED>${ofxDate(expense.date)}`,
+        `<TRNAMT>-${expense.amount.toFixed(2)}`,
+        `<FITID>${expense._id}`,
+        `<NAME>${ofxText(expense.title, 32)}`,
+        ...(memo ? [`<MEMO>${ofxText(memo, 255)}`] : []),
+        ...(rate ? [`<CURRENCY><CURRATE>${rate.toFixed(6)}<CURSYM>${expense.currency}</CURRENCY>`] : []),
+        '</STMTTRN>',
+        ''
+      ].join('\r\n');
+    },
+    footer: () => [
+      '</BANKTRANLIST>',
+      `<LEDGERBAL><BALAMT>0.00<DTASOF>${ofxDate(new Date())}</LEDGERBAL>`,
+      '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+      '</OFX>',
+      ''
+    ].join('\r\n')
+  },
+
+  qif: {
+    contentType: 'application/qif',
+    extension: 'qif',
+    fields: EXPORT_FIELDS,
+    header: () => '!Type:Bank\r\n',
+    row: (expense) => {
+      const date = new Date(expense.date);
+      const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+      const day = String(date.getUTCDate()).padStart(2, '0');
+      return [
+        `D${month}/${day}/${date.getUTCFullYear()}`,
+        `T-${expense.amount.toFixed(2)}`,
+        `P${qifText(expense.title)}`,
+        ...(expense.description ? [`M${qifText(expense.description)}`] : []),
+        `L${qifText(expense.category)}`,
+        '^',
+        ''
+      ].join('\r\n');
+    },
+    footer: () => ''
+  }
+};
+
+// Wait for the socket to drain, or give up if the client went away
+const write = async (res, chunk) => {
+  if (!chunk || res.write(chunk)) return;
+  await new Promise(resolve => {
+    const done = () => {
+      res.removeListener('drain', done);
+      res.removeListener('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+};
+
+// Stream every document from `cursor` through `formatter`, honouring
+// backpressure so only one batch is held in memory at a time
+const streamExport = async (res, cursor, formatter, context) => {
+  if (formatter.prepare) await formatter.prepare(context);
+  await write(res, formatter.header(context));
+  let count = 0;
+  for await (const expense of cursor) {
+    if (res.destroyed) return count;
+    await write(res, formatter.row(expense, count, context));
+    count += 1;
+  }
+  await write(res, formatter.footer(count, context));
+  return count;
+};
+
+module.exports = {
+  exporters,
+  streamExport
+};
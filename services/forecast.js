@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const Budget = require('../models/Budget');
+const RecurringExpense = require('../models/RecurringExpense');
+const { convertedDailyTotals, createConverter, groupTotals } = require('./currency');
+const { periodStart, shiftPeriod, getBudgetStatus } = require('./budget');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = ['weekly', 'monthly', 'yearly'];
+
+// z-score for the confidence band: about 80% of outcomes fall inside it
+const BAND_Z = 1.28;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+const stdDev = (values) => {
+  if (values.length < 2) return null;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+// Spending that counts towards a forecast. Cancelled expenses are left out,
+// as they are for budgets.
+const spendingMatch = (userId, start, end) => ({
+  user: new mongoose.Types.ObjectId(String(userId)),
+  status: { $ne: 'cancelled' },
+  date: { $gte: start, $lt: end }
+});
+
+// Generated recurring occurrences are kept apart from everyday spending so
+// they are not extrapolated: their future is known from the series
+const recurringKey = { recurring: { $ne: [{ $ifNull: ['$recurringSeries', null] }, null] } };
+
+// Amounts still to come this period from active recurring series, converted
+// into `currency`, as [{ category, total, count }]
+const upcomingRecurring = async (userId, now, end, currency) => {
+  const series = await RecurringExpense.find({ user: userId, status: 'active', nextOccurrence: { $lt: end } });
+  const occurrences = [];
+  series.forEach(item => {
+    let index = item.nextIndex;
+    let date = item.occurrenceAt(index);
+    while (date < end) {
+      if (item.endDate && date > item.endDate) break;
+      if (date > now && !item.isSkipped(date)) {
+        occurrences.push({ category: item.category, amount: item.amount, currency: item.currency || currency });
+      }
+      index += 1;
+      date = item.occurrenceAt(index);
+    }
+  });
+  if (occurrences.length === 0) return { upcoming: [], missingRates: [] };
+
+  // Future rates are unknown, so today's are used
+  const currencies = [...new Set(occurrences.map(occurrence => occurrence.currency).concat(currency))];
+  const converter = await createConverter(currencies, null, now);
+  const missing = new Set();
+  const byCategory = new Map();
+  occurrences.forEach(occurrence => {
+    const amount = converter.convert(occurrence.amount, occurrence.currency, currency, now);
+    if (amount === null) {
+      missing.add(occurrence.currency);
+      return;
+    }
+    const entry = byCategory.get(occurrence.category) || { category: occurrence.category, total: 0, count: 0 };
+    entry.total += amount;
+    entry.count += 1;
+    byCategory.set(occurrence.category, entry);
+  });
+  return { upcoming: [...byCategory.values()], missingRates: [...missing] };
+};
+
+// Project one line of the forecast (a category or the overall total).
+// Everyday spending so far is extended to the end of the period by a blend
+// of the current run rate and the average of past periods, leaning on the
+// run rate as the period goes on. Recurring spending is taken as known.
+const project = ({ spent, recurringSpent, upcoming, history }, { elapsed, remaining }) => {
+  const runRateRemaining = elapsed > 0 ? (spent / elapsed) * remaining : 0;
+  const historicalAverage = mean(history);
+  const historicalRemaining = historicalAverage * remaining / (elapsed + remaining);
+  const weight = history.length > 0 ? elapsed / (elapsed + remaining) : 1;
+  const expectedRemaining = weight * runRateRemaining + (1 - weight) * historicalRemaining;
+
+  const known = spent + recurringSpent + upcoming;
+  const projected = known + expectedRemaining;
+  // Without enough history, the band is half of the spending still expected
+  const spread = stdDev(history);
+  const margin = spread === null
+    ? expectedRemaining / 2
+    : BAND_Z * spread * Math.sqrt(remaining / (elapsed + remaining));
+
+  return {
+    spent: round(spent + recurringSpent),
+    recurringSpent: round(recurringSpent),
+    upcomingRecurring: round(upcoming),
+    runRateProjection: round(known + runRateRemaining),
+    everydayAverage: history.length > 0 ? round(historicalAverage) : null,
+    projected: round(projected),
+    low: round(Math.max(known, projected - margin)),
+    high: round(projected + margin)
+  };
+};
+
+// Where the projection stands against `budget`; `overUnder` is positive
+// when the period is expected to end over budget
+const compareToBudget = (line, budget) => {
+  if (!budget) return { ...line, budget: null };
+  let status = 'on_track';
+  if (line.spent > budget) status = 'over_budget';
+  else if (line.projected > budget) status = 'projected_over';
+  else if (line.high > budget) status = 'at_risk';
+  return {
+    ...line,
+    budget: round(budget),
+    overUnder: round(line.projected - budget),
+    overUnderLow: round(line.low - budget),
+    overUnderHigh: round(line.high - budget),
+    status
+  };
+};
+
+// Forecast spending for the period (weekly, monthly or yearly) containing
+// `now`, overall and per category, from spending so far, the previous
+// `historyPeriods` periods and scheduled recurring expenses
+const forecastSpending = async (user, { period = 'monthly', historyPeriods = 6, now = new Date() } = {}) => {
+  const currency = user.currency;
+  const start = periodStart(period, now);
+  const end = shiftPeriod(period, start, 1);
+  const historyStart = shiftPeriod(period, start, -historyPeriods);
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const elapsed = Math.round((today.getTime() + DAY_MS - start.getTime()) / DAY_MS);
+  const remaining = Math.round((end.getTime() - start.getTime()) / DAY_MS) - elapsed;
+  const days = { elapsed, remaining };
+
+  const [current, past, recurring, budgets] = await Promise.all([
+    convertedDailyTotals(spendingMatch(user._id, start, end), { category: '$category', ...recurringKey }, currency),
+    convertedDailyTotals(spendingMatch(user._id, historyStart, start), { category: '$category', ...recurringKey }, currency),
+    upcomingRecurring(user._id, now, end, currency),
+    Budget.find({ user: user._id, isActive: true, period, scope: { $in: ['overall', 'category'] } })
+  ]);
+
+  // Everyday spending of each past period, per category and overall
+  const boundaries = [];
+  for (let i = 0; i < historyPeriods; i++) boundaries.push(shiftPeriod(period, historyStart, i).getTime());
+  const periodIndex = (date) => {
+    let i = boundaries.length - 1;
+    while (i > 0 && boundaries[i] > date.getTime()) i -= 1;
+    return i;
+  };
+  // Only periods since the user's first recorded expense count as history
+  const everyday = past.rows.filter(row => !row.key.recurring);
+  const firstIndex = past.rows.length > 0 ? Math.min(...past.rows.map(row => periodIndex(row.date))) : historyPeriods;
+  const historyFor = (category) => {
+    const totals = new Array(historyPeriods).fill(0);
+    everyday
+      .filter(row => category === undefined || row.key.category === category)
+      .forEach(row => { totals[periodIndex(row.date)] += row.total; });
+    return totals.slice(firstIndex);
+  };
+
+  const sumRows = (rows, recurringRows, category) => (
+    groupTotals(rows.filter(row => Boolean(row.key.recurring) === recurringRows &&
+      (category === undefined || row.key.category === category)))[0] || { total: 0 }
+  ).total;
+  const upcomingFor = (category) => recurring.upcoming
+    .filter(entry => category === undefined || entry.category === category)
+    .reduce((sum, entry) => sum + entry.total, 0);
+  const lineFor = (category) => project({
+    spent: sumRows(current.rows, false, category),
+    recurringSpent: sumRows(current.rows, true, category),
+    upcoming: upcomingFor(category),
+    history: historyFor(category)
+  }, days);
+
+  const categoryBudgets = new Map();
+  let overallBudget = period === 'monthly' ? user.monthlyBudget : 0;
+  for (const budget of budgets) {
+    const status = await getBudgetStatus(budget, { now, currency });
+    if (budget.scope === 'overall') overallBudget = status.budget;
+    else categoryBudgets.set(budget.category, status.budget);
+  }
+
+  const names = new Set([
+    ...current.rows.map(row => row.key.category),
+    ...everyday.map(row => row.key.category),
+    ...recurring.upcoming.map(entry => entry.category),
+    ...categoryBudgets.keys()
+  ]);
+  const categories = [...names]
+    .map(category => ({ category, ...compareToBudget(lineFor(category), categoryBudgets.get(category)) }))
+    .filter(line => line.projected > 0 || line.budget)
+    .sort((a, b) => b.projected - a.projected);
+
+  return {
+    currency,
+    period,
+    periodStart: start,
+    periodEnd: end,
+    daysElapsed: elapsed,
+    daysRemaining: remaining,
+    historyPeriods: historyPeriods - firstIndex,
+    total: compareToBudget(lineFor(), overallBudget),
+    categories,
+    missingRates: [...new Set([...current.missingRates, ...past.missingRates, ...recurring.missingRates])]
+  };
+};
+
+module.exports = {
+  PERIODS,
+  forecastSpending
+};
@@ -0,0 +1,210 @@
+const Expense = require('../models/Expense');
+const Settlement = require('../models/Settlement');
+
+// Splits and balances are worked out in cents so shares always add up to
+// the expense amount exactly
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+const splitError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Divide `cents` in proportion to `weights`, handing leftover cents to the
+// largest remainders first
+const allocate = (cents, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map(weight => (cents * weight) / totalWeight);
+  const result = exact.map(Math.floor);
+  let leftover = cents - result.reduce((sum, value) => sum + value, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(({ index }) => {
+      if (leftover > 0) {
+        result[index] += 1;
+        leftover -= 1;
+      }
+    });
+  return result;
+};
+
+// Work out each participant's share of `amount`. `participants` is a list of
+// { user, amount, percentage, shares }; which field is read depends on
+// `splitType`. Throws an error with `status` 400 when the split is invalid.
+const computeSplits = (amount, splitType, participants) => {
+  if (participants.length === 0) {
+    throw splitError('An expense must be split between at least one member');
+  }
+  const ids = participants.map(participant => participant.user.toString());
+  if (new Set(ids).size !== ids.length) {
+    throw splitError('Each member can appear only once in a split');
+  }
+
+  const cents = toCents(amount);
+  let allocated;
+
+  switch (splitType) {
+    case 'equal':
+      allocated = allocate(cents, participants.map(() => 1));
+      break;
+    case 'exact': {
+      allocated = participants.map(participant => toCents(Number(participant.amount) || 0));
+      const total = allocated.reduce((sum, value) => sum + value, 0);
+      if (total !== cents) {
+        throw splitError(`Split amounts add up to ${fromCents(total)}, not ${amount}`);
+      }
+      break;
+    }
+    case 'percentage': {
+      const percentages = participants.map(participant => Number(participant.percentage) || 0);
+      const total = percentages.reduce((sum, value) => sum + value, 0);
+      if (Math.abs(total - 100) > 0.001) {
+        throw splitError(`Split percentages add up to ${total}, not 100`);
+      }
+      allocated = allocate(cents, percentages);
+      break;
+    }
+    case 'shares': {
+      const shares = participants.map(participant => Number(participant.shares) || 0);
+      if (shares.some(value => value < 0) || shares.every(value => value === 0)) {
+        throw splitError('Shares must be positive');
+      }
+      allocated = allocate(cents, shares);
+      break;
+    }
+    default:
+      throw splitError(`Unknown split type: ${splitType}`);
+  }
+
+  return participants.map((participant, index) => ({
+    user: participant.user,
+    amount: fromCents(allocated[index]),
+    percentage: splitType === 'percentage' ? Number(participant.percentage) : undefined,
+    shares: splitType === 'shares' ? Number(participant.shares) : undefined
+  }));
+};
+
+// Net position of every member: positive means the group owes them money,
+// negative means they owe the group
+const getBalances = async (group) => {
+  const [paid, owed, sent, received] = await Promise.all([
+    Expense.aggregate([
+      { $match: { group: group._id } },
+      { $group: { _id: '$user', cents: { $sum: { $round: [{ $multiply: ['$amount', 100] }, 0] } } } }
+    ]),
+    Expense.aggregate([
+      { $match: { group: group._id } },
+      { $unwind: '$splits' },
+      { $group: { _id: '$splits.user', cents: { $sum: { $round: [{ $multiply: ['$splits.amount', 100] }, 0] } } } }
+    ]),
+    Settlement.aggregate([
+      { $match: { group: group._id } },
+      { $group: { _id: '$from', cents: { $sum: { $round: [{ $multiply: ['$amount', 100] }, 0] } } } }
+    ]),
+    Settlement.aggregate([
+      { $match: { group: group._id } },
+      { $group: { _id: '$to', cents: { $sum: { $round: [{ $multiply: ['$amount', 100] }, 0] } } } }
+    ])
+  ]);
+
+  const entries = new Map();
+  const entry = (userId) => {
+    const key = userId.toString();
+    if (!entries.has(key)) {
+      entries.set(key, { user: userId, paid: 0, owed: 0, settledOut: 0, settledIn: 0 });
+    }
+    return entries.get(key);
+  };
+  group.members.forEach(member => entry(member.user._id || member.user));
+  paid.forEach(row => { entry(row._id).paid = row.cents; });
+  owed.forEach(row => { entry(row._id).owed = row.cents; });
+  sent.forEach(row => { entry(row._id).settledOut = row.cents; });
+  received.forEach(row => { entry(row._id).settledIn = row.cents; });
+
+  return [...entries.values()].map(row => ({
+    user: row.user,
+    paid: fromCents(row.paid),
+    owed: fromCents(row.owed),
+    settledOut: fromCents(row.settledOut),
+    settledIn: fromCents(row.settledIn),
+    balance: fromCents(row.paid - row.owed + row.settledOut - row.settledIn)
+  }));
+};
+
+// Fewest payments that clear every balance: repeatedly match the largest
+// debtor with the largest creditor
+const simplifyDebts = (balances) => {
+  const creditors = [];
+  const debtors = [];
+  balances.forEach(({ user, balance }) => {
+    const cents = toCents(balance);
+    if (cents > 0) creditors.push({ user, cents });
+    if (cents < 0) debtors.push({ user, cents: -cents });
+  });
+  creditors.sort((a, b) => b.cents - a.cents);
+  debtors.sort((a, b) => b.cents - a.cents);
+
+  const debts = [];
+  let c = 0;
+  let d = 0;
+  while (c < creditors.length && d < debtors.length) {
+    const cents = Math.min(creditors[c].cents, debtors[d].cents);
+    debts.push({ from: debtors[d].user, to: creditors[c].user, amount: fromCents(cents) });
+    creditors[c].cents -= cents;
+    debtors[d].cents -= cents;
+    if (creditors[c].cents === 0) c += 1;
+    if (debtors[d].cents === 0) d += 1;
+  }
+  return debts;
+};
+
+// Who owes whom without simplification: each split is owed to whoever paid
+// the expense, netted per pair of members and reduced by settlements
+const getPairwiseDebts = async (group) => {
+  const [shares, settlements] = await Promise.all([
+    Expense.aggregate([
+      { $match: { group: group._id } },
+      { $unwind: '$splits' },
+      { $match: { $expr: { $ne: ['$splits.user', '$user'] } } },
+      {
+        $group: {
+          _id: { from: '$splits.user', to: '$user' },
+          cents: { $sum: { $round: [{ $multiply: ['$splits.amount', 100] }, 0] } }
+        }
+      }
+    ]),
+    Settlement.aggregate([
+      { $match: { group: group._id } },
+      {
+        $group: {
+          _id: { from: '$from', to: '$to' },
+          cents: { $sum: { $round: [{ $multiply: ['$amount', 100] }, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  // Positive net means `low` owes `high`, keyed by the sorted pair of ids
+  const pairs = new Map();
+  const add = (from, to, cents) => {
+    const [low, high] = from.toString() < to.toString() ? [from, to] : [to, from];
+    const key = `${low}:${high}`;
+    const pair = pairs.get(key) || { low, high, cents: 0 };
+    pair.cents += from === low ? cents : -cents;
+    pairs.set(key, pair);
+  };
+  shares.forEach(row => add(row._id.from, row._id.to, row.cents));
+  settlements.forEach(row => add(row._id.from, row._id.to, -row.cents));
+
+  return [...pairs.values()]
+    .filter(pair => pair.cents !== 0)
+    .map(pair => (pair.cents > 0
+      ? { from: pair.low, to: pair.high, amount: fromCents(pair.cents) }
+      : { from: pair.high, to: pair.low, amount: fromCents(-pair.cents) }));
+};
+
+module.exports = {
+  computeSplits,
+  getBalances,
+  simplifyDebts,
+  getPairwiseDebts
+};
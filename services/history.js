@@ -0,0 +1,193 @@
+const Expense = require('../models/Expense');
+const ExpenseHistory = require('../models/ExpenseHistory');
+const { findCategory } = require('./category');
+const { FALLBACK_CATEGORY } = require('../utils/categories');
+
+// Fields whose changes are recorded and restored on revert. Attachments are
+// left out: their files cannot be brought back once removed.
+const TRACKED_FIELDS = [
+  'title', 'amount', 'currency', 'category', 'description', 'date', 'paymentMethod',
+  'location', 'tags', 'status', 'reimbursable', 'isRecurring', 'recurringType', 'group', 'splitType', 'splits'
+];
+// Snapshots also keep the organization, which never changes but is needed
+// to recreate a purged expense where it was filed
+const SNAPSHOT_FIELDS = [...TRACKED_FIELDS, 'organization'];
+
+const toPlain = (expense) => (expense && expense.toObject
+  ? expense.toObject({ depopulate: true, virtuals: false })
+  : expense || {});
+
+const snapshotOf = (expense) => {
+  const doc = toPlain(expense);
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (doc[field] !== undefined) snapshot[field] = doc[field];
+  });
+  return snapshot;
+};
+
+// Dates, ObjectIds and arrays compare by their JSON form
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+const diffSnapshots = (before, after) => TRACKED_FIELDS
+  .filter(field => !sameValue(before[field], after[field]))
+  .map(field => ({ field, from: before[field], to: after[field] }));
+
+// `actor` is the user making the change, or null for the server itself
+const actorFields = (actor) => (actor
+  ? { actor: actor._id, actorRole: actor.role === 'admin' ? 'admin' : 'user' }
+  : { actorRole: 'system' });
+
+// History is written after the change itself has succeeded, so a failure
+// here is logged rather than failing the request
+const saveEntries = async (entries) => {
+  if (entries.length === 0) return;
+  try {
+    await ExpenseHistory.insertMany(entries, { ordered: false });
+  } catch (error) {
+    console.error('Failed to record expense history:', error);
+  }
+};
+
+const ownerOf = (expense) => (expense.user && expense.user._id) || expense.user;
+
+const recordCreate = (expenses, actor, source = 'api') => saveEntries([].concat(expenses).map(expense => {
+  const snapshot = snapshotOf(expense);
+  return {
+    expense: expense._id,
+    user: ownerOf(expense),
+    ...actorFields(actor),
+    action: 'create',
+    source,
+    changes: diffSnapshots({}, snapshot),
+    snapshot
+  };
+}));
+
+// `before` is the expense (or a plain copy of it) before the change. Nothing
+// is recorded when no tracked field changed.
+const recordUpdate = (before, after, actor, source = 'api') => {
+  const snapshot = snapshotOf(after);
+  const changes = diffSnapshots(snapshotOf(before), snapshot);
+  if (changes.length === 0) return Promise.resolve();
+  return saveEntries([{
+    expense: after._id,
+    user: ownerOf(after),
+    ...actorFields(actor),
+    action: 'update',
+    source,
+    changes,
+    snapshot
+  }]);
+};
+
+// Moving to or out of the trash and purging change no tracked field, so
+// these entries only carry a snapshot
+const recordAction = (action) => (expenses, actor, source = 'api') => saveEntries([].concat(expenses).map(expense => ({
+  expense: expense._id,
+  user: ownerOf(expense),
+  ...actorFields(actor),
+  action,
+  source,
+  changes: [],
+  snapshot: snapshotOf(expense)
+})));
+
+// A step of the approval workflow. The approval state is not a tracked
+// field (a revert must not undo a sign-off), so its change is added here.
+const recordApprovalStep = (before, after, actor, action, comment) => {
+  const snapshot = snapshotOf(after);
+  const previousState = before.approval && before.approval.state;
+  return saveEntries([{
+    expense: after._id,
+    user: ownerOf(after),
+    ...actorFields(actor),
+    action,
+    source: 'approval',
+    changes: [
+      ...diffSnapshots(snapshotOf(before), snapshot),
+      { field: 'approval.state', from: previousState, to: after.approval.state }
+    ],
+    comment,
+    snapshot
+  }]);
+};
+
+const recordDelete = recordAction('delete');
+const recordRestore = recordAction('restore');
+const recordPurge = recordAction('purge');
+
+// Run `fn`, which changes occurrences of a recurring series in bulk, and
+// record the updates it made. New occurrences are recorded by the generator,
+// and trashed ones by the trash service.
+const trackSeries = async (seriesId, actor, source, fn) => {
+  const before = await Expense.find({ recurringSeries: seriesId }).lean();
+  const result = await fn();
+  const after = await Expense.find({ recurringSeries: seriesId }).lean();
+  const afterById = new Map(after.map(expense => [expense._id.toString(), expense]));
+
+  const entries = [];
+  before.forEach(previous => {
+    const current = afterById.get(previous._id.toString());
+    if (!current) return;
+    const snapshot = snapshotOf(current);
+    const changes = diffSnapshots(snapshotOf(previous), snapshot);
+    if (changes.length > 0) {
+      entries.push({
+        expense: current._id,
+        user: current.user,
+        ...actorFields(actor),
+        action: 'update',
+        source,
+        changes,
+        snapshot
+      });
+    }
+  });
+  await saveEntries(entries);
+  return result;
+};
+
+// Restore the tracked fields of an expense to how they were in `entry`.
+// Takes the expense out of the trash, or recreates it if it has been purged.
+const revertToEntry = async (entry, actor) => {
+  let expense = await Expense.findById(entry.expense).setOptions({ withDeleted: true });
+  const before = expense && !expense.deletedAt ? snapshotOf(expense) : {};
+  if (!expense) {
+    expense = new Expense({ _id: entry.expense, user: entry.user, organization: entry.snapshot.organization });
+  }
+  expense.deletedAt = undefined;
+  expense.deletedBy = undefined;
+  TRACKED_FIELDS.forEach(field => {
+    expense.set(field, entry.snapshot[field] === undefined ? undefined : entry.snapshot[field]);
+  });
+  // The category may have been deleted since
+  const category = expense.category && await findCategory(expense.user, expense.category);
+  expense.category = category ? category.name : FALLBACK_CATEGORY;
+  await expense.save();
+
+  const snapshot = snapshotOf(expense);
+  await saveEntries([{
+    expense: expense._id,
+    user: expense.user,
+    ...actorFields(actor),
+    action: 'revert',
+    source: 'api',
+    changes: diffSnapshots(before, snapshot),
+    snapshot,
+    revertedTo: entry._id
+  }]);
+  return expense;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  recordCreate,
+  recordUpdate,
+  recordDelete,
+  recordRestore,
+  recordPurge,
+  recordApprovalStep,
+  trackSeries,
+  revertToEntry
+};
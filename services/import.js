@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const Expense = require('../models/Expense');
+const { parseCSV } = require('../utils/csv');
+const CURRENCIES = require('../utils/currencies');
+const { FALLBACK_CATEGORY } = require('../utils/categories');
+const { recordCreate } = require('./history');
+const { flagAnomalies } = require('./anomaly');
+const { flagDuplicates } = require('./duplicate');
+const { evaluateRules } = require('./rules');
+const { isDuplicateKeyError, insertedDocuments } = require('../utils/writeErrors');
+
+const DATE_TOKENS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MM: '(\\d{1,2})',
+  DD: '(\\d{1,2})'
+};
+
+// Compile a date format such as 'DD/MM/YYYY' into a parser returning a UTC
+// Date, or null when the value does not match or is not a real date.
+const compileDateFormat = (format) => {
+  if (format === 'ISO') {
+    return (value) => {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date;
+    };
+  }
+
+  const order = [];
+  const pattern = format.replace(/YYYY|YY|MM|DD|[.*+?^${}()|[\]\\]/g, (token) => {
+    if (DATE_TOKENS[token]) {
+      order.push(token);
+      return DATE_TOKENS[token];
+    }
+    return `\\${token}`;
+  });
+  const regex = new RegExp(`^${pattern}(?:[ T].*)?$`);
+
+  return (value) => {
+    const match = regex.exec(value.trim());
+    if (!match) return null;
+    const parts = {};
+    order.forEach((token, i) => {
+      parts[token] = parseInt(match[i + 1], 10);
+    });
+    const year = parts.YYYY !== undefined ? parts.YYYY : 2000 + parts.YY;
+    const date = new Date(Date.UTC(year, parts.MM - 1, parts.DD));
+    if (date.getUTCMonth() !== parts.MM - 1 || date.getUTCDate() !== parts.DD) return null;
+    return date;
+  };
+};
+
+// Parse an amount written with the given decimal separator. Currency
+// symbols, spaces and thousands separators are ignored; "(12.00)" and
+// "12.00-" are read as negative.
+const parseAmount = (value, decimalSeparator = '.') => {
+  let text = value.trim();
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.endsWith('-')) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+  if (text.startsWith('-')) {
+    negative = !negative;
+    text = text.slice(1);
+  }
+
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+  text = text
+    .replace(/[^\d.,'-]/g, '')
+    .split(thousandsSeparator).join('')
+    .replace(/'/g, '')
+    .replace(decimalSeparator, '.');
+  if (!/^\d+(\.\d+)?$/.test(text)) return NaN;
+
+  const amount = parseFloat(text);
+  return negative ? -amount : amount;
+};
+
+const matchCategory = (categories, value) => {
+  const wanted = value.trim().toLowerCase();
+  return categories.find(category => category.toLowerCase() === wanted);
+};
+
+// Resolve mapping entries (header names or zero-based column indexes) to
+// column indexes
+const resolveColumns = (mapping, header) => {
+  const columns = {};
+  const errors = [];
+  ['date', 'amount', 'description', 'title', 'category', 'currency'].forEach(field => {
+    const source = mapping[field];
+    if (source === undefined || source === null || source === '') return;
+    let index = -1;
+    if (header) {
+      index = header.findIndex(name => name.trim().toLowerCase() === String(source).trim().toLowerCase());
+    }
+    if (index === -1 && /^\d+$/.test(String(source))) {
+      index = parseInt(source, 10);
+    }
+    if (index === -1) {
+      errors.push(`Column "${source}" for ${field} not found`);
+    } else {
+      columns[field] = index;
+    }
+  });
+  ['date', 'amount', 'description'].forEach(field => {
+    if (mapping[field] === undefined || mapping[field] === null || mapping[field] === '') {
+      errors.push(`Mapping for ${field} is required`);
+    }
+  });
+  return { columns, errors };
+};
+
+// Identifies a bank row across imports. The occurrence number keeps two
+// identical transactions in one statement (e.g. two coffees) distinct.
+const importHash = (date, amount, description, occurrence) => crypto
+  .createHash('sha256')
+  .update([date.toISOString(), amount.toFixed(2), description.trim().toLowerCase(), occurrence].join('|'))
+  .digest('hex');
+
+// Parse a CSV statement into rows ready for insertion. Each row reports its
+// file line, the expense it would create, the `rules` (compiled, see
+// services/rules.js) that filled it in, and any errors or warnings. Rows are
+// filed in `organization` when one is given.
+const parseStatement = (text, userId, options = {}) => {
+  const {
+    mapping = {},
+    dateFormat = 'YYYY-MM-DD',
+    decimalSeparator = '.',
+    delimiter = ',',
+    hasHeader = true,
+    categories = [],
+    defaultCategory = FALLBACK_CATEGORY,
+    defaultCurrency,
+    debitSign = 'any',
+    rules = [],
+    organization
+  } = options;
+
+  const records = parseCSV(text, delimiter);
+  const header = hasHeader ? records[0] || [] : null;
+  const { columns, errors } = resolveColumns(mapping, header);
+  const fallbackCategory = matchCategory(categories, defaultCategory);
+  if (!fallbackCategory) {
+    errors.push(`Unknown default category "${defaultCategory}"`);
+  }
+  if (errors.length > 0) {
+    return { errors, rows: [] };
+  }
+
+  const parseDate = compileDateFormat(dateFormat);
+  const occurrences = {};
+  const rows = [];
+
+  records.forEach((record, index) => {
+    if (hasHeader && index === 0) return;
+    if (record.every(value => value.trim() === '')) return;
+
+    const line = index + 1;
+    const rowErrors = [];
+    const warnings = [];
+    const cell = (field) => (columns[field] !== undefined && record[columns[field]] !== undefined
+      ? record[columns[field]].trim()
+      : '');
+
+    const date = parseDate(cell('date'));
+    if (!date) rowErrors.push(`Invalid date "${cell('date')}" for format ${dateFormat}`);
+
+    let amount = parseAmount(cell('amount'), decimalSeparator);
+    if (isNaN(amount)) {
+      rowErrors.push(`Invalid amount "${cell('amount')}"`);
+    } else if (debitSign === 'negative' && amount >= 0) {
+      rows.push({ line, status: 'skipped', reason: 'Credit row', raw: record });
+      return;
+    } else if (debitSign === 'positive' && amount < 0) {
+      rows.push({ line, status: 'skipped', reason: 'Credit row', raw: record });
+      return;
+    }
+    amount = Math.abs(amount);
+
+    const description = cell('description');
+    const title = (cell('title') || description).slice(0, 100);
+
+    let category = fallbackCategory;
+    let categoryGiven = false;
+    if (columns.category !== undefined && cell('category')) {
+      const matched = matchCategory(categories, cell('category'));
+      if (matched) {
+        category = matched;
+        categoryGiven = true;
+      } else {
+        warnings.push(`Unknown category "${cell('category')}", using ${fallbackCategory}`);
+      }
+    }
+
+    let currency = defaultCurrency;
+    if (columns.currency !== undefined && cell('currency')) {
+      const code = cell('currency').toUpperCase();
+      if (CURRENCIES.includes(code)) {
+        currency = code;
+      } else {
+        rowErrors.push(`Unsupported currency "${cell('currency')}"`);
+      }
+    }
+
+    const data = {
+      user: userId,
+      organization,
+      title,
+      amount,
+      currency,
+      category,
+      description: description.slice(0, 500),
+      date
+    };
+
+    // Rules categorize rows the statement gives no known category for.
+    // Imported rows never start recurring series.
+    const draft = new Expense(data);
+    const { set, matched } = evaluateRules(rules, draft, {
+      keep: categoryGiven ? ['category'] : [],
+      recurring: false
+    });
+    Object.assign(data, set);
+    draft.set(set);
+
+    const validationError = draft.validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach(err => {
+        // An unparseable date has already been reported above
+        if (err.path === 'date' && !date) return;
+        rowErrors.push(err.message);
+      });
+    }
+
+    if (rowErrors.length === 0) {
+      const key = [date.toISOString(), amount.toFixed(2), description.toLowerCase()].join('|');
+      occurrences[key] = (occurrences[key] || 0) + 1;
+      data.importHash = importHash(date, amount, description, occurrences[key]);
+    }
+
+    rows.push({
+      line,
+      status: rowErrors.length > 0 ? 'invalid' : 'valid',
+      expense: data,
+      rules: matched.map(rule => rule.name),
+      errors: rowErrors,
+      warnings
+    });
+  });
+
+  return { errors: [], rows };
+};
+
+// Mark valid rows whose importHash already exists for the user. Expenses in
+// the trash count, so re-importing a statement does not bring them back.
+const markDuplicates = async (userId, rows) => {
+  const hashes = rows.filter(row => row.status === 'valid').map(row => row.expense.importHash);
+  if (hashes.length === 0) return;
+  const existing = await Expense.find({ user: userId, importHash: { $in: hashes } })
+    .setOptions({ withDeleted: true })
+    .select('importHash');
+  const seen = new Set(existing.map(expense => expense.importHash));
+  rows.forEach(row => {
+    if (row.status === 'valid' && seen.has(row.expense.importHash)) {
+      row.status = 'duplicate';
+    }
+  });
+};
+
+const summarize = (rows) => {
+  const summary = { total: rows.length, valid: 0, invalid: 0, duplicate: 0, skipped: 0 };
+  rows.forEach(row => {
+    summary[row.status] += 1;
+  });
+  return summary;
+};
+
+// Insert every valid, not previously imported row in bulk for `user`. Rows
+// another import inserted first are marked as duplicates.
+const commitRows = async (rows, user) => {
+  const valid = rows.filter(row => row.status === 'valid');
+  const docs = valid.map(row => row.expense);
+  if (docs.length === 0) return 0;
+  let inserted;
+  try {
+    inserted = await Expense.insertMany(docs, { ordered: false });
+  } catch (error) {
+    // A concurrent import of the same statement won the race for some rows
+    if (!error.writeErrors || !isDuplicateKeyError(error)) {
+      throw error;
+    }
+    inserted = insertedDocuments(error, Expense);
+    const written = new Set(inserted.map(expense => expense.importHash));
+    valid.forEach(row => {
+      if (!written.has(row.expense.importHash)) row.status = 'duplicate';
+    });
+  }
+  await recordCreate(inserted, user, 'import');
+  await flagAnomalies(inserted, user);
+  await flagDuplicates(inserted, user);
+  return inserted.length;
+};
+
+module.exports = {
+  compileDateFormat,
+  parseAmount,
+  parseStatement,
+  markDuplicates,
+  summarize,
+  commitRows
+};
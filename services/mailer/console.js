@@ -0,0 +1,8 @@
+const crypto = require('crypto');
+
+// Prints messages instead of sending them; the default in development
+exports.send = async ({ from, to, subject, text }) => {
+  const messageId = crypto.randomBytes(8).toString('hex');
+  console.log(`📧 Mail ${messageId}\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+  return { messageId };
+};
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Writes each message to MAIL_DIR as JSON, newest last by name. Meant for
+// development and tests, which can read the links back out of the files.
+const mailDir = () => path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail'));
+
+exports.send = async (message) => {
+  const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  await fs.promises.mkdir(mailDir(), { recursive: true });
+  await fs.promises.writeFile(
+    path.join(mailDir(), `${messageId}.json`),
+    JSON.stringify({ messageId, sentAt: new Date(), ...message }, null, 2)
+  );
+  return { messageId };
+};
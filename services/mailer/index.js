@@ -0,0 +1,29 @@
+const smtp = require('./smtp');
+const file = require('./file');
+const consoleTransport = require('./console');
+
+// Transports share one interface:
+//   send({ from, to, subject, text, html }) -> { messageId }
+const transports = { smtp, file, console: consoleTransport };
+
+const defaultTransport = () => process.env.MAIL_TRANSPORT || 'console';
+
+const defaultFrom = () => process.env.MAIL_FROM || 'ExpenseEase <no-reply@expenseease.com>';
+
+const getTransport = (name = defaultTransport()) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+// Async so that an unknown transport comes back as a rejection, like a
+// failed send, rather than a throw the caller's .catch() misses
+const sendMail = async (message) => getTransport().send({ from: defaultFrom(), ...message });
+
+module.exports = {
+  defaultTransport,
+  getTransport,
+  sendMail
+};
@@ -0,0 +1,31 @@
+// Optional transport: needs nodemailer installed, plus SMTP_HOST and,
+// for authenticated servers, SMTP_USER and SMTP_PASS.
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    let nodemailer;
+    try {
+      nodemailer = require('nodemailer');
+    } catch (error) {
+      throw new Error('SMTP mail transport requires nodemailer');
+    }
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+exports.send = async (message) => {
+  const info = await getTransporter().sendMail(message);
+  return { messageId: info.messageId };
+};
@@ -0,0 +1,117 @@
+const Budget = require('../models/Budget');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { getBudgetStatus, getMonthlyBudgetStatus } = require('./budget');
+
+const DEFAULT_THRESHOLDS = [80, 100];
+
+// Create a notification. When a dedupeKey is given the notification is only
+// created once per user; returns null if it already existed.
+const notify = async (userId, { type, title, message, data, dedupeKey }) => {
+  if (!dedupeKey) {
+    return Notification.create({ user: userId, type, title, message, data });
+  }
+  try {
+    const result = await Notification.findOneAndUpdate(
+      { user: userId, dedupeKey },
+      { $setOnInsert: { user: userId, type, title, message, data, dedupeKey } },
+      { upsert: true, new: true, rawResult: true }
+    );
+    return result.lastErrorObject && result.lastErrorObject.updatedExisting ? null : result.value;
+  } catch (error) {
+    // Lost a race with a concurrent insert of the same alert
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const describeBudget = (budget) => {
+  if (budget.name) return budget.name;
+  if (budget.scope === 'category') return `${budget.category} budget`;
+  if (budget.scope === 'tag') return `"${budget.tag}" tag budget`;
+  return `${budget.period.charAt(0).toUpperCase()}${budget.period.slice(1)} budget`;
+};
+
+const formatAmount = (value) => value.toFixed(2);
+
+// Raise a notification for every configured threshold the period containing
+// the expense has crossed, for each budget the expense counts towards and for
+// User.monthlyBudget. Never throws: alerting must not fail the expense write.
+// `actingUser` saves a lookup when it is the owner (it is not for admin edits).
+const checkBudgetThresholds = async (expense, actingUser) => {
+  try {
+    const ownerId = expense.populated('user') || expense.user;
+    const user = actingUser && actingUser._id.equals(ownerId)
+      ? actingUser
+      : await User.findById(ownerId);
+    if (!user) return [];
+
+    const preferences = user.notificationPreferences || {};
+    if (preferences.budgetAlerts === false || expense.status === 'cancelled') return [];
+
+    const thresholds = [...new Set(
+      preferences.budgetThresholds && preferences.budgetThresholds.length > 0
+        ? preferences.budgetThresholds
+        : DEFAULT_THRESHOLDS
+    )].sort((a, b) => a - b);
+
+    const budgets = await Budget.find({
+      user: user._id,
+      isActive: true,
+      $or: [
+        { scope: 'overall' },
+        { scope: 'category', category: expense.category },
+        { scope: 'tag', tag: { $in: expense.tags || [] } }
+      ]
+    });
+
+    const checks = await Promise.all(budgets.map(async budget => ({
+      key: `budget:${budget._id}`,
+      budgetId: budget._id,
+      label: describeBudget(budget),
+      status: await getBudgetStatus(budget, { now: expense.date, currency: user.currency })
+    })));
+    if (user.monthlyBudget > 0) {
+      checks.push({
+        key: 'monthlyBudget',
+        budgetId: null,
+        label: 'Monthly budget',
+        status: await getMonthlyBudgetStatus(user, expense.date)
+      });
+    }
+
+    const created = [];
+    for (const { key, budgetId, label, status } of checks) {
+      if (status.percentUsed === null) continue;
+      for (const threshold of thresholds) {
+        if (status.percentUsed < threshold) break;
+        const notification = await notify(user._id, {
+          type: 'budget_threshold',
+          title: threshold >= 100 ? `Over budget: ${label}` : `${threshold}% of ${label} used`,
+          message: `You have spent ${formatAmount(status.spent)} of ${formatAmount(status.budget)} ` +
+            `(${status.percentUsed}%) for the period starting ${status.periodStart.toISOString().slice(0, 10)}.`,
+          data: {
+            budget: budgetId,
+            threshold,
+            periodStart: status.periodStart,
+            periodEnd: status.periodEnd,
+            spent: status.spent,
+            budgetAmount: status.budget,
+            percentUsed: status.percentUsed
+          },
+          dedupeKey: `${key}:${status.periodStart.toISOString()}:${threshold}`
+        });
+        if (notification) created.push(notification);
+      }
+    }
+    return created;
+  } catch (error) {
+    console.error('Budget threshold check error:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  notify,
+  checkBudgetThresholds
+};
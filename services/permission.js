@@ -0,0 +1,90 @@
+const Group = require('../models/Group');
+const Organization = require('../models/Organization');
+
+const ORG_ROLES = ['owner', 'manager', 'member', 'viewer'];
+
+// What each organization role may do
+const ROLE_PERMISSIONS = {
+  owner: [
+    'organization:update', 'organization:delete', 'members:manage', 'members:invite',
+    'expenses:create', 'expenses:read', 'expenses:manage'
+  ],
+  manager: ['members:invite', 'expenses:create', 'expenses:read', 'expenses:manage'],
+  member: ['expenses:create', 'expenses:read'],
+  viewer: ['expenses:read']
+};
+
+// Roles each role may invite people as
+const GRANTABLE_ROLES = {
+  owner: ORG_ROLES,
+  manager: ['member', 'viewer'],
+  member: [],
+  viewer: []
+};
+
+// Permission an organization role needs for each action on someone else's
+// expense
+const EXPENSE_PERMISSIONS = {
+  read: 'expenses:read',
+  update: 'expenses:manage',
+  delete: 'expenses:manage'
+};
+
+const idOf = (value) => String((value && value._id) || value);
+
+const hasPermission = (role, permission) => Boolean(role && ROLE_PERMISSIONS[role].includes(permission));
+
+const canGrant = (role, target) => Boolean(role && GRANTABLE_ROLES[role].includes(target));
+
+// Role of `user` in `organization`. Admins act as owners of every
+// organization they are not a member of.
+const roleIn = (organization, user) => organization.roleOf(user._id) || (user.role === 'admin' ? 'owner' : null);
+
+// Roles of `user` in the organizations with `organizationIds`, as a map of
+// organization id to role
+const loadOrganizationRoles = async (user, organizationIds) => {
+  if (organizationIds.length === 0) return new Map();
+  const organizations = await Organization.find({ _id: { $in: organizationIds }, 'members.user': user._id })
+    .select('members');
+  return new Map(organizations.map(organization => [organization._id.toString(), organization.roleOf(user._id)]));
+};
+
+// Whether `user` may read or change a personal record (budget, income,
+// category, recurring series...): its owner and admins may
+const canAccessOwned = (user, record) => user.role === 'admin' || idOf(record.user) === user.id;
+
+// Whether `user` may take `action` (read, update or delete) on `expense`.
+// Its payer and admins always may; members of the organization it was filed
+// in as their role allows. `roles` comes from loadOrganizationRoles.
+const canAccessExpense = (user, expense, action, roles = new Map()) => {
+  if (canAccessOwned(user, expense)) return true;
+  const role = expense.organization && roles.get(idOf(expense.organization));
+  return hasPermission(role, EXPENSE_PERMISSIONS[action]);
+};
+
+// canAccessExpense for a single expense, looking up the role it needs.
+// Members of a group can also read the group's shared expenses.
+const authorizeExpense = async (user, expense, action) => {
+  const roles = await loadOrganizationRoles(user, expense.organization ? [expense.organization] : []);
+  if (canAccessExpense(user, expense, action, roles)) return true;
+  if (action !== 'read' || !expense.group) return false;
+  return Boolean(await Group.exists({ _id: expense.group, 'members.user': user._id }));
+};
+
+// The expenses a list or statistic covers: the organization's when one is
+// picked, or else the user's own
+const expenseScope = (user, organization) => (organization
+  ? { organization: organization._id }
+  : { user: user._id });
+
+module.exports = {
+  ORG_ROLES,
+  hasPermission,
+  canGrant,
+  roleIn,
+  loadOrganizationRoles,
+  canAccessOwned,
+  canAccessExpense,
+  authorizeExpense,
+  expenseScope
+};
@@ -0,0 +1,285 @@
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const { recordCreate } = require('./history');
+const { trashExpense } = require('./trash');
+const { isDuplicateKeyError, insertedDocuments } = require('../utils/writeErrors');
+
+// Upper bound on occurrences walked for a single series per run. Anything
+// beyond it is picked up by the next scheduler tick.
+const MAX_OCCURRENCES_PER_RUN = 500;
+
+// Fields of a series that can be edited with "this and all future" semantics
+const EDITABLE_FIELDS = [
+  'title', 'amount', 'currency', 'category', 'description', 'paymentMethod', 'location', 'tags'
+];
+const SCHEDULE_FIELDS = ['recurringType', 'interval'];
+
+const startOfUTCDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Create expenses for every occurrence of `series` that is due up to `now`.
+// Safe to run repeatedly: the (recurringSeries, date) index rejects repeats.
+const generateOccurrences = async (series, now = new Date()) => {
+  if (series.status !== 'active') return 0;
+
+  const docs = [];
+  let index = series.nextIndex;
+  let date = series.occurrenceAt(index);
+  let walked = 0;
+
+  while (date <= now && walked < MAX_OCCURRENCES_PER_RUN) {
+    if (series.endDate && date > series.endDate) break;
+    if (!series.isSkipped(date)) {
+      docs.push(series.toOccurrence(date));
+    }
+    index += 1;
+    walked += 1;
+    date = series.occurrenceAt(index);
+  }
+
+  let inserted = [];
+  if (docs.length > 0) {
+    try {
+      inserted = await Expense.insertMany(docs, { ordered: false });
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+      inserted = insertedDocuments(error, Expense);
+    }
+    // Occurrences are created by the server, not by the user
+    await recordCreate(inserted, null, 'recurring');
+  }
+
+  if (walked > 0) {
+    series.lastGeneratedAt = now;
+  }
+  series.nextIndex = index;
+  series.nextOccurrence = date;
+  if (series.endDate && date > series.endDate) {
+    series.status = 'completed';
+  }
+  await series.save();
+
+  return inserted.length;
+};
+
+// Generate occurrences for every active series that has fallen due. Also used
+// at startup to catch up on anything missed while the server was down.
+const processDueSeries = async (now = new Date()) => {
+  const dueSeries = await RecurringExpense.find({
+    status: 'active',
+    nextOccurrence: { $lte: now }
+  });
+
+  let created = 0;
+  for (const series of dueSeries) {
+    try {
+      created += await generateOccurrences(series, now);
+    } catch (error) {
+      console.error(`Recurring series ${series._id} failed:`, error);
+    }
+  }
+  return { series: dueSeries.length, created };
+};
+
+// Turn a freshly created expense into the first occurrence of a new series
+const createSeriesFromExpense = async (expense) => {
+  const series = await RecurringExpense.create({
+    user: expense.user,
+    title: expense.title,
+    amount: expense.amount,
+    currency: expense.currency,
+    category: expense.category,
+    description: expense.description,
+    paymentMethod: expense.paymentMethod,
+    location: expense.location,
+    tags: expense.tags,
+    recurringType: expense.recurringType,
+    startDate: expense.date,
+    nextIndex: 1
+  });
+
+  expense.recurringSeries = series._id;
+  await expense.save();
+  await generateOccurrences(series);
+
+  return series;
+};
+
+// Move the series forward to its first occurrence on or after `from`
+// without generating anything in between (used when resuming).
+const advanceTo = (series, from) => {
+  let index = series.nextIndex;
+  let date = series.occurrenceAt(index);
+  while (date < from) {
+    index += 1;
+    date = series.occurrenceAt(index);
+  }
+  series.nextIndex = index;
+  series.nextOccurrence = date;
+};
+
+// Find the scheduled occurrence date that falls on the given calendar day
+const findOccurrenceOn = (series, day) => {
+  const dayStart = startOfUTCDay(day);
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+  let index = 0;
+  let date = series.occurrenceAt(index);
+  while (date < dayEnd) {
+    if (date >= dayStart) return date;
+    index += 1;
+    date = series.occurrenceAt(index);
+  }
+  return null;
+};
+
+// Upcoming occurrence dates, for previews
+const upcomingOccurrences = (series, count = 5) => {
+  const dates = [];
+  if (series.status !== 'active') return dates;
+  let index = series.nextIndex;
+  while (dates.length < count) {
+    const date = series.occurrenceAt(index);
+    if (series.endDate && date > series.endDate) break;
+    if (!series.isSkipped(date)) dates.push(date);
+    index += 1;
+  }
+  return dates;
+};
+
+// Move the occurrences matching `filter` to the trash
+const trashOccurrences = async (filter, actor) => {
+  const occurrences = await Expense.find(filter);
+  for (const occurrence of occurrences) {
+    await trashExpense(occurrence, actor, 'recurring');
+  }
+  return occurrences.length;
+};
+
+// Skip a single occurrence. If it was already generated it is trashed.
+const skipOccurrence = async (series, day, actor) => {
+  const date = findOccurrenceOn(series, day);
+  if (!date) return null;
+
+  if (!series.isSkipped(date)) {
+    series.skippedDates.push(date);
+  }
+  await trashOccurrences({ recurringSeries: series._id, date }, actor);
+  await series.save();
+  return date;
+};
+
+// Apply edits to the series and to every occurrence dated on or after
+// `fromDate`. Schedule changes re-anchor the series at `fromDate`: the
+// occurrence on that date is kept and later ones are generated anew.
+const updateThisAndFuture = async (series, updates, fromDate, actor) => {
+  const from = fromDate ? new Date(fromDate) : startOfUTCDay(new Date());
+  const fieldUpdates = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (updates[field] !== undefined) fieldUpdates[field] = updates[field];
+  });
+
+  const scheduleChanged = SCHEDULE_FIELDS.some(field =>
+    updates[field] !== undefined && updates[field] !== series[field]
+  );
+
+  Object.assign(series, fieldUpdates);
+  if (updates.endDate !== undefined) {
+    series.endDate = updates.endDate || undefined;
+    if (series.status === 'completed' && (!series.endDate || series.nextOccurrence <= series.endDate)) {
+      series.status = 'active';
+    }
+  }
+
+  if (scheduleChanged) {
+    SCHEDULE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) series[field] = updates[field];
+    });
+    const kept = await Expense.findOne({ recurringSeries: series._id, date: from });
+    if (kept) {
+      kept.set({ ...fieldUpdates, recurringType: series.recurringType });
+      await kept.save();
+    }
+    await trashOccurrences({ recurringSeries: series._id, date: { $gt: from } }, actor);
+    series.startDate = from;
+    series.nextIndex = kept ? 1 : 0;
+    series.nextOccurrence = series.occurrenceAt(series.nextIndex);
+    series.skippedDates = series.skippedDates.filter(date => date < from);
+    if (series.status === 'completed') series.status = 'active';
+  } else {
+    const occurrenceUpdates = { ...fieldUpdates };
+    if (Object.keys(occurrenceUpdates).length > 0) {
+      await Expense.updateMany(
+        { recurringSeries: series._id, date: { $gte: from } },
+        occurrenceUpdates,
+        { runValidators: true }
+      );
+    }
+    if (series.endDate) {
+      await trashOccurrences({ recurringSeries: series._id, date: { $gt: series.endDate } }, actor);
+    }
+  }
+
+  await series.save();
+  await generateOccurrences(series);
+  return series;
+};
+
+// Cancel a series. Optionally trash occurrences already generated for
+// dates after today.
+const cancelSeries = async (series, { deleteFuture = false, actor = null } = {}) => {
+  series.status = 'cancelled';
+  series.nextOccurrence = undefined;
+  await series.save();
+
+  let deleted = 0;
+  if (deleteFuture) {
+    deleted = await trashOccurrences({ recurringSeries: series._id, date: { $gt: new Date() } }, actor);
+  }
+  return deleted;
+};
+
+let schedulerTimer = null;
+let running = false;
+
+const runScheduler = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const { series, created } = await processDueSeries();
+    if (created > 0) {
+      console.log(`🔁 Generated ${created} recurring expense(s) from ${series} series`);
+    }
+  } catch (error) {
+    console.error('Recurring scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Run once immediately to catch up after downtime, then on an interval
+const startScheduler = (intervalMs = parseInt(process.env.RECURRING_INTERVAL_MS) || 60 * 60 * 1000) => {
+  if (schedulerTimer) return;
+  runScheduler();
+  schedulerTimer = setInterval(runScheduler, intervalMs);
+};
+
+const stopScheduler = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+module.exports = {
+  generateOccurrences,
+  processDueSeries,
+  createSeriesFromExpense,
+  advanceTo,
+  upcomingOccurrences,
+  skipOccurrence,
+  updateThisAndFuture,
+  cancelSeries,
+  startScheduler,
+  stopScheduler
+};
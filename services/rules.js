@@ -0,0 +1,196 @@
+const Expense = require('../models/Expense');
+const ExpenseRule = require('../models/ExpenseRule');
+const { recordUpdate } = require('./history');
+const { LOCKED_STATES } = require('./approval');
+
+// Fields a rule can fill in, in the order they are reported
+const RULE_FIELDS = ['category', 'paymentMethod', 'isRecurring', 'recurringType', 'tags'];
+
+// How many matching expenses a preview lists, and how many are written at once
+const PREVIEW_LIMIT = 20;
+const BATCH_SIZE = 500;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isSet = (value) => value !== undefined && value !== null;
+
+const REPEAT = /[*+{]/;
+
+// Whether a `matches` pattern can backtrack catastrophically: it has a
+// backreference, or a repeated group that itself repeats or alternates, as
+// in (a+)+ or (a|ab)*. Character classes and escaped characters are skipped.
+const isUnsafePattern = (source) => {
+  const groups = [{ repeats: false, alternates: false }];
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    const group = groups[groups.length - 1];
+    if (char === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) return true;
+      i += 1;
+    } else if (char === '[') {
+      for (i += 1; i < source.length && source[i] !== ']'; i += 1) {
+        if (source[i] === '\\') i += 1;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+      // (?:, (?=, (?<name> and the like: the ? is not a quantifier
+      if (source[i + 1] === '?') i += 1;
+    } else if (char === ')' && groups.length > 1) {
+      const closed = groups.pop();
+      if ((closed.repeats || closed.alternates) && REPEAT.test(source[i + 1] || '')) return true;
+      const parent = groups[groups.length - 1];
+      parent.repeats = parent.repeats || closed.repeats;
+      parent.alternates = parent.alternates || closed.alternates;
+    } else if (char === '|') {
+      group.alternates = true;
+    } else if (REPEAT.test(char)) {
+      group.repeats = true;
+    }
+  }
+  return false;
+};
+
+const patternOf = (condition) => {
+  if (condition.operator !== 'matches') {
+    return new RegExp(escapeRegex(condition.value), condition.caseSensitive ? '' : 'i');
+  }
+  const regex = new RegExp(condition.value, condition.caseSensitive ? '' : 'i');
+  if (isUnsafePattern(condition.value)) {
+    throw new Error('backreferences and repeated groups that repeat or alternate inside are not supported');
+  }
+  return regex;
+};
+
+// Error message for the first text condition that is not a valid regular
+// expression, or null
+const invalidPattern = (conditions = {}) => {
+  for (const condition of conditions.text || []) {
+    try {
+      patternOf(condition);
+    } catch (error) {
+      return `Invalid pattern "${condition.value}": ${error.message}`;
+    }
+  }
+  return null;
+};
+
+// Prepare a rule for matching: returns { rule, test(expense) }. A rule
+// whose pattern is no longer accepted never matches.
+const compileRule = (rule) => {
+  const conditions = rule.conditions || {};
+  const valid = !invalidPattern(conditions);
+  const patterns = valid
+    ? (conditions.text || []).map(condition => ({ field: condition.field, regex: patternOf(condition) }))
+    : [];
+  const paymentMethods = conditions.paymentMethods || [];
+  return {
+    rule,
+    test: (expense) => valid &&
+      patterns.every(({ field, regex }) => regex.test(expense[field] || '')) &&
+      (!isSet(conditions.minAmount) || expense.amount >= conditions.minAmount) &&
+      (!isSet(conditions.maxAmount) || expense.amount <= conditions.maxAmount) &&
+      (paymentMethods.length === 0 || paymentMethods.includes(expense.paymentMethod))
+  };
+};
+
+// The user's active rules, compiled, in the order they run
+const loadRules = async (userId) => (await ExpenseRule.find({ user: userId, isActive: true })
+  .sort({ priority: 1, createdAt: 1 }))
+  .map(compileRule);
+
+// Run compiled `rules` over `expense`. The first matching rule to set a
+// field wins and fields listed in `keep` are left as they are; tags from
+// every matching rule are added. With `recurring: false` rules do not mark
+// the expense recurring. Returns the fields that would change as `set`,
+// with the rules that matched.
+const evaluateRules = (rules, expense, { keep = [], recurring = true } = {}) => {
+  const set = {};
+  const tags = [...(expense.tags || [])];
+  const matched = [];
+  const assign = (field, value) => {
+    if (isSet(value) && !keep.includes(field) && set[field] === undefined) set[field] = value;
+  };
+
+  rules.forEach(({ rule, test }) => {
+    if (!test(expense)) return;
+    matched.push(rule);
+    const actions = rule.actions || {};
+    assign('category', actions.category);
+    assign('paymentMethod', actions.paymentMethod);
+    if (recurring && actions.recurringType && !keep.includes('isRecurring') && set.isRecurring === undefined) {
+      set.isRecurring = true;
+      set.recurringType = actions.recurringType;
+    }
+    (actions.addTags || []).forEach(tag => {
+      if (!tags.includes(tag)) tags.push(tag);
+    });
+  });
+
+  Object.keys(set).forEach(field => {
+    if (set[field] === expense[field]) delete set[field];
+  });
+  if (tags.length > (expense.tags || []).length) set.tags = tags;
+  return { set, matched };
+};
+
+// Run `rules` over the user's existing expenses in `dateFilter` and report
+// the ones they would change. With `apply` the changes are saved and
+// recorded in the expense history. Past expenses are never marked
+// recurring, shared group expenses are left to their group and expenses
+// under approval are left as they are.
+const runOnHistory = async (userId, rules, { dateFilter, apply = false, actor } = {}) => {
+  const filter = { user: userId, group: { $exists: false }, 'approval.state': { $nin: LOCKED_STATES } };
+  if (dateFilter) filter.date = dateFilter;
+  const cursor = Expense.find(filter)
+    .sort({ date: -1 })
+    .lean()
+    .cursor();
+
+  const result = { scanned: 0, matched: 0, changed: 0, expenses: [] };
+  let pending = [];
+  const flush = async () => {
+    if (pending.length === 0) return;
+    await Expense.bulkWrite(pending.map(({ expense, set }) => ({
+      updateOne: { filter: { _id: expense._id }, update: { $set: set } }
+    })));
+    await Promise.all(pending.map(({ expense, set }) => recordUpdate(expense, { ...expense, ...set }, actor, 'rule')));
+    pending = [];
+  };
+
+  for await (const expense of cursor) {
+    result.scanned += 1;
+    const { set, matched } = evaluateRules(rules, expense, { recurring: false });
+    if (matched.length === 0) continue;
+    result.matched += 1;
+    if (Object.keys(set).length === 0) continue;
+    result.changed += 1;
+    if (result.expenses.length < PREVIEW_LIMIT) {
+      result.expenses.push({
+        _id: expense._id,
+        title: expense.title,
+        amount: expense.amount,
+        currency: expense.currency,
+        date: expense.date,
+        rules: matched.map(rule => rule.name),
+        changes: RULE_FIELDS
+          .filter(field => set[field] !== undefined)
+          .map(field => ({ field, from: expense[field], to: set[field] }))
+      });
+    }
+    if (apply) {
+      pending.push({ expense, set });
+      if (pending.length >= BATCH_SIZE) await flush();
+    }
+  }
+  await flush();
+  return result;
+};
+
+module.exports = {
+  RULE_FIELDS,
+  invalidPattern,
+  compileRule,
+  loadRules,
+  evaluateRules,
+  runOnHistory
+};
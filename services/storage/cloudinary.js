@@ -0,0 +1,35 @@
+// Optional adapter: needs the cloudinary package installed and
+// CLOUDINARY_URL configured. Files are uploaded as "authenticated" assets so
+// they can only be fetched through signed URLs.
+const sdk = () => {
+  try {
+    return require('cloudinary').v2;
+  } catch (error) {
+    throw new Error('Cloudinary storage requires the cloudinary package');
+  }
+};
+
+exports.save = ({ buffer, folder }) => new Promise((resolve, reject) => {
+  const stream = sdk().uploader.upload_stream(
+    { folder, type: 'authenticated', resource_type: 'image' },
+    (error, result) => {
+      if (error) return reject(error);
+      resolve({ public_id: result.public_id, size: result.bytes });
+    }
+  );
+  stream.end(buffer);
+});
+
+exports.getDownload = async (attachment) => {
+  const format = attachment.filename.split('.').pop();
+  const url = sdk().utils.private_download_url(attachment.public_id, format, {
+    resource_type: 'image',
+    type: 'authenticated',
+    expires_at: Math.floor(Date.now() / 1000) + 300
+  });
+  return { url };
+};
+
+exports.remove = async (publicId) => {
+  await sdk().uploader.destroy(publicId, { resource_type: 'image', type: 'authenticated' });
+};
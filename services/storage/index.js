@@ -0,0 +1,26 @@
+const local = require('./local');
+const s3 = require('./s3');
+const cloudinary = require('./cloudinary');
+
+// Storage adapters share one interface:
+//   save({ buffer, filename, mimetype, folder }) -> { public_id, size }
+//   getDownload(attachment) -> { stream } | { url }
+//   remove(public_id)
+const adapters = { local, s3, cloudinary };
+
+const defaultDriver = () => process.env.STORAGE_DRIVER || 'local';
+
+// Each attachment records the driver it was saved with, so changing
+// STORAGE_DRIVER does not orphan existing files
+const getStorage = (driver = defaultDriver()) => {
+  const adapter = adapters[driver];
+  if (!adapter) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  return adapter;
+};
+
+module.exports = {
+  defaultDriver,
+  getStorage
+};
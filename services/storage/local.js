@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const rootDir = () => path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+// Resolve a public_id inside the upload directory, refusing anything that
+// would escape it
+const resolvePath = (publicId) => {
+  const root = rootDir();
+  const filePath = path.resolve(root, publicId);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error('Invalid attachment path');
+  }
+  return filePath;
+};
+
+exports.save = async ({ buffer, filename, folder }) => {
+  const extension = path.extname(filename).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const publicId = path.posix.join(folder, `${crypto.randomBytes(16).toString('hex')}${extension}`);
+  const filePath = resolvePath(publicId);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+  return { public_id: publicId, size: buffer.length };
+};
+
+exports.getDownload = async (attachment) => {
+  const filePath = resolvePath(attachment.public_id);
+  await fs.promises.access(filePath);
+  return { stream: fs.createReadStream(filePath) };
+};
+
+exports.remove = async (publicId) => {
+  try {
+    await fs.promises.unlink(resolvePath(publicId));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// Optional adapter: needs @aws-sdk/client-s3 and @aws-sdk/s3-request-presigner
+// installed, plus S3_BUCKET and the usual AWS credentials/region variables.
+let client = null;
+
+const sdk = () => {
+  try {
+    return {
+      ...require('@aws-sdk/client-s3'),
+      ...require('@aws-sdk/s3-request-presigner')
+    };
+  } catch (error) {
+    throw new Error('S3 storage requires @aws-sdk/client-s3 and @aws-sdk/s3-request-presigner');
+  }
+};
+
+const getClient = () => {
+  if (!client) {
+    const { S3Client } = sdk();
+    client = new S3Client({ region: process.env.AWS_REGION });
+  }
+  return client;
+};
+
+const bucket = () => {
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET is not configured');
+  }
+  return process.env.S3_BUCKET;
+};
+
+exports.save = async ({ buffer, filename, mimetype, folder }) => {
+  const { PutObjectCommand } = sdk();
+  const extension = path.extname(filename).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const publicId = `${folder}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+  await getClient().send(new PutObjectCommand({
+    Bucket: bucket(),
+    Key: publicId,
+    Body: buffer,
+    ContentType: mimetype
+  }));
+  return { public_id: publicId, size: buffer.length };
+};
+
+// Short-lived presigned URL; the bucket itself stays private
+exports.getDownload = async (attachment) => {
+  const { GetObjectCommand, getSignedUrl } = sdk();
+  const url = await getSignedUrl(getClient(), new GetObjectCommand({
+    Bucket: bucket(),
+    Key: attachment.public_id,
+    ResponseContentDisposition: `inline; filename="${attachment.filename}"`
+  }), { expiresIn: 300 });
+  return { url };
+};
+
+exports.remove = async (publicId) => {
+  const { DeleteObjectCommand } = sdk();
+  await getClient().send(new DeleteObjectCommand({ Bucket: bucket(), Key: publicId }));
+};
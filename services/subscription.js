@@ -0,0 +1,265 @@
+const Expense = require('../models/Expense');
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const { createConverter } = require('./currency');
+const { merchantOf } = require('../utils/merchant');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Charges further back than this are not looked at: two years, so yearly
+// subscriptions are seen at least twice
+const LOOKBACK_DAYS = 2 * 365 + 30;
+
+// `tolerance` is how many days a gap may be off the cadence and still fit
+const CADENCES = [
+  { name: 'weekly', days: 7, tolerance: 1.5, months: 0, perYear: 52, minCharges: 4 },
+  { name: 'biweekly', days: 14, tolerance: 2.5, months: 0, perYear: 26, minCharges: 3 },
+  { name: 'monthly', days: 30.44, tolerance: 4, months: 1, perYear: 12, minCharges: 3 },
+  { name: 'quarterly', days: 91.31, tolerance: 10, months: 3, perYear: 4, minCharges: 3 },
+  { name: 'yearly', days: 365.25, tolerance: 15, months: 12, perYear: 1, minCharges: 2 }
+];
+
+// Share of gaps that have to fit the cadence
+const MIN_REGULARITY = 0.75;
+// Most one charge may differ from the one before it
+const AMOUNT_TOLERANCE = 0.25;
+// Smallest change between charges counted as a new price
+const PRICE_CHANGE = 0.01;
+// Charges this close together are taken as one (e.g. entered twice)
+const SAME_CHARGE_DAYS = 2;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Same day of the month `months` later, or the month's last day when it is
+// shorter
+const addUTCMonths = (date, months) => {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target;
+};
+
+const nextChargeAfter = (date, cadence) => (cadence.months > 0
+  ? addUTCMonths(date, cadence.months)
+  : new Date(date.getTime() + cadence.days * DAY_MS));
+
+const isPriceChange = (from, to) => Math.abs(to - from) > Math.max(0.01, PRICE_CHANGE * from);
+
+// Work out whether `charges` (one merchant and currency, oldest first) are a
+// subscription. Returns its figures, or null.
+const analyzeCharges = (charges, now) => {
+  const merged = [];
+  charges.forEach(charge => {
+    const last = merged[merged.length - 1];
+    if (last && charge.date.getTime() - last.date.getTime() < SAME_CHARGE_DAYS * DAY_MS) {
+      merged[merged.length - 1] = charge;
+    } else {
+      merged.push(charge);
+    }
+  });
+  if (merged.length < 2) return null;
+
+  const gaps = merged.slice(1).map((charge, i) => (charge.date.getTime() - merged[i].date.getTime()) / DAY_MS);
+  const typicalGap = median(gaps);
+  const cadence = CADENCES.find(item => Math.abs(typicalGap - item.days) <= item.tolerance);
+  if (!cadence || merged.length < cadence.minCharges) return null;
+  const confidence = gaps.filter(gap => Math.abs(gap - cadence.days) <= cadence.tolerance).length / gaps.length;
+  if (confidence < MIN_REGULARITY) return null;
+  const similar = merged.slice(1).every((charge, i) =>
+    Math.abs(charge.amount - merged[i].amount) <= AMOUNT_TOLERANCE * Math.max(charge.amount, merged[i].amount));
+  if (!similar) return null;
+
+  // A price that keeps changing is a variable bill rather than price changes
+  const priceChanges = [];
+  merged.slice(1).forEach((charge, i) => {
+    if (isPriceChange(merged[i].amount, charge.amount)) {
+      priceChanges.push({ date: charge.date, from: merged[i].amount, to: charge.amount });
+    }
+  });
+  const variableAmount = priceChanges.length > 1 && priceChanges.length > gaps.length / 3;
+  const last = merged[merged.length - 1];
+  const amount = variableAmount
+    ? round(merged.slice(-3).reduce((sum, charge) => sum + charge.amount, 0) / Math.min(3, merged.length))
+    : last.amount;
+  const nextChargeAt = nextChargeAfter(last.date, cadence);
+
+  return {
+    cadence: cadence.name,
+    amount,
+    variableAmount,
+    annualCost: round(amount * cadence.perYear),
+    priceChanges: variableAmount ? [] : priceChanges,
+    chargeCount: merged.length,
+    firstChargeAt: merged[0].date,
+    lastChargeAt: last.date,
+    nextChargeAt,
+    // Allow one missed charge before calling it lapsed
+    isActive: now.getTime() <= nextChargeAt.getTime() + (cadence.days + cadence.tolerance) * DAY_MS,
+    confidence: round(confidence)
+  };
+};
+
+// The user's own expenses since `since` that can be subscription charges:
+// not shared through a group and not cancelled
+const chargeFilter = (userId, since) => ({
+  user: userId,
+  group: { $exists: false },
+  status: { $ne: 'cancelled' },
+  date: { $gte: since }
+});
+
+// Group the user's recent expenses by merchant and currency and keep the
+// subscriptions stored up to date. What the user decided about each one
+// (confirmed, dismissed, cancelled) is kept. Returns the number detected.
+const detectSubscriptions = async (userId, now = new Date()) => {
+  const expenses = await Expense.find(chargeFilter(userId, new Date(now.getTime() - LOOKBACK_DAYS * DAY_MS)))
+    .select('title location amount currency category date')
+    .sort({ date: 1 })
+    .lean();
+
+  const groups = new Map();
+  expenses.forEach(expense => {
+    const merchantKey = merchantOf(expense);
+    if (!merchantKey) return;
+    const key = `${merchantKey}|${expense.currency || ''}`;
+    if (!groups.has(key)) groups.set(key, { merchantKey, currency: expense.currency || null, charges: [] });
+    groups.get(key).charges.push(expense);
+  });
+
+  const existing = await Subscription.find({ user: userId });
+  const byKey = new Map(existing.map(item => [`${item.merchantKey}|${item.currency || ''}`, item]));
+  const operations = [];
+  const seen = new Set();
+
+  groups.forEach((group, key) => {
+    const figures = analyzeCharges(group.charges, now);
+    if (!figures) return;
+    seen.add(key);
+    const last = group.charges[group.charges.length - 1];
+    const stored = byKey.get(key);
+    const update = {
+      ...figures,
+      name: (last.location && last.location.trim()) || last.title,
+      category: last.category,
+      detectedAt: now
+    };
+    if (stored && stored.status === 'cancelled' && stored.cancelledAt && figures.lastChargeAt > stored.cancelledAt) {
+      update.chargedAfterCancellation = true;
+    }
+    operations.push({
+      updateOne: {
+        filter: { user: userId, merchantKey: group.merchantKey, currency: group.currency },
+        update: {
+          $set: update,
+          $setOnInsert: { user: userId, merchantKey: group.merchantKey, currency: group.currency }
+        },
+        upsert: true
+      }
+    });
+  });
+
+  // Subscriptions whose charges stopped or stopped looking periodic
+  existing
+    .filter(item => !seen.has(`${item.merchantKey}|${item.currency || ''}`) && item.isActive)
+    .forEach(item => {
+      operations.push({
+        updateOne: { filter: { _id: item._id }, update: { $set: { isActive: false } } }
+      });
+    });
+
+  if (operations.length > 0) await Subscription.bulkWrite(operations);
+  return seen.size;
+};
+
+// The expenses behind a subscription, newest first
+const chargesOf = async (subscription) => {
+  const expenses = await Expense.find({
+    ...chargeFilter(subscription.user, subscription.firstChargeAt || new Date(0)),
+    currency: subscription.currency || null
+  })
+    .sort({ date: -1 })
+    .lean();
+  return expenses.filter(expense => merchantOf(expense) === subscription.merchantKey);
+};
+
+// Monthly and yearly cost of `subscriptions` in `currency` at today's rates,
+// counting only those still running
+const totalCost = async (subscriptions, currency) => {
+  const running = subscriptions.filter(item => item.isActive && ['detected', 'confirmed'].includes(item.status));
+  const currencies = [...new Set(running.map(item => item.currency || currency).concat(currency))];
+  const now = new Date();
+  const converter = await createConverter(currencies, null, now);
+  const missing = new Set();
+  let annual = 0;
+  running.forEach(item => {
+    const converted = converter.convert(item.annualCost, item.currency || currency, currency, now);
+    if (converted === null) {
+      missing.add(item.currency);
+      return;
+    }
+    annual += converted;
+  });
+  return {
+    currency,
+    count: running.length,
+    monthly: round(annual / 12),
+    annual: round(annual),
+    missingRates: [...missing]
+  };
+};
+
+// Check every active user's expenses. Returns the subscriptions found.
+const detectAllSubscriptions = async () => {
+  const users = await User.find({ isActive: true }).select('_id');
+  let found = 0;
+  for (const user of users) {
+    found += await detectSubscriptions(user._id);
+  }
+  return found;
+};
+
+let detectionTimer = null;
+let running = false;
+
+const runDetection = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const found = await detectAllSubscriptions();
+    if (found > 0) {
+      console.log(`🔎 Found ${found} subscription(s) in users' expenses`);
+    }
+  } catch (error) {
+    console.error('Subscription detection error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Run once at startup, then on an interval
+const startSubscriptionScheduler = (intervalMs = parseInt(process.env.SUBSCRIPTION_INTERVAL_MS) || 24 * 60 * 60 * 1000) => {
+  if (detectionTimer) return;
+  runDetection();
+  detectionTimer = setInterval(runDetection, intervalMs);
+};
+
+const stopSubscriptionScheduler = () => {
+  clearInterval(detectionTimer);
+  detectionTimer = null;
+};
+
+module.exports = {
+  CADENCES,
+  analyzeCharges,
+  detectSubscriptions,
+  chargesOf,
+  totalCost,
+  startSubscriptionScheduler,
+  stopSubscriptionScheduler
+};
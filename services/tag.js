@@ -0,0 +1,177 @@
+const Budget = require('../models/Budget');
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const { LOCKED_STATES } = require('./approval');
+const { recordUpdate } = require('./history');
+const { convertedDailyTotals, groupTotals } = require('./currency');
+
+// Pipeline prefix giving one row per (expense, tag)
+const tagStages = (match, tags) => [
+  { $match: { ...match, tags: { $exists: true, $ne: [] } } },
+  { $unwind: '$tags' },
+  ...(tags ? [{ $match: { tags: { $in: tags } } }] : [])
+];
+
+// Every tag of a user with usage count, spending in `currency` and the
+// date it was last used
+const listTags = async (userId, currency) => {
+  const [usage, converted] = await Promise.all([
+    Expense.aggregate([
+      ...tagStages({ user: userId }),
+      { $group: { _id: '$tags', count: { $sum: 1 }, lastUsed: { $max: '$date' } } }
+    ]),
+    convertedDailyTotals(tagStages({ user: userId }), { tag: '$tags' }, currency)
+  ]);
+  const totals = new Map(groupTotals(converted.rows, row => row.key.tag)
+    .map(group => [group._id, group.total]));
+
+  return {
+    tags: usage
+      .map(entry => ({
+        tag: entry._id,
+        count: entry.count,
+        total: totals.get(entry._id) || 0,
+        lastUsed: entry.lastUsed
+      }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)),
+    missingRates: converted.missingRates
+  };
+};
+
+// Spending per tag over `dateFilter`, overall and per month ("YYYY-MM")
+const tagReport = async (userId, { dateFilter, tags, currency }) => {
+  const match = { user: userId };
+  if (dateFilter) match.date = dateFilter;
+  const { rows, missingRates } = await convertedDailyTotals(tagStages(match, tags), { tag: '$tags' }, currency);
+
+  const monthly = groupTotals(rows, row => ({ tag: row.key.tag, month: row.date.toISOString().slice(0, 7) }));
+  const report = groupTotals(rows, row => row.key.tag)
+    .sort((a, b) => b.total - a.total)
+    .map(group => ({
+      tag: group._id,
+      total: group.total,
+      count: group.count,
+      monthly: monthly
+        .filter(entry => entry._id.tag === group._id)
+        .map(entry => ({ month: entry._id.month, total: entry.total, count: entry.count }))
+        .sort((a, b) => a.month.localeCompare(b.month))
+    }));
+
+  return { tags: report, missingRates };
+};
+
+// Update pipeline that swaps every tag in `from` for `to` and drops any
+// duplicates this creates, keeping the original order
+const replaceTagsUpdate = (from, to) => [{
+  $set: {
+    tags: {
+      $reduce: {
+        input: {
+          $map: {
+            input: '$tags',
+            as: 'tag',
+            in: { $cond: [{ $in: ['$$tag', from] }, to, '$$tag'] }
+          }
+        },
+        initialValue: [],
+        in: {
+          $cond: [
+            { $in: ['$$this', '$$value'] },
+            '$$value',
+            { $concatArrays: ['$$value', ['$$this']] }
+          ]
+        }
+      }
+    }
+  }
+}];
+
+// Apply `update` to the user's expenses matching `filter` and record each
+// change in the expense history. Trashed expenses are included, so a
+// restored one is not left on an old tag. Shared group expenses are left to
+// their group, and expenses under approval keep their tags. Returns the
+// number of expenses changed.
+const updateExpenseTags = async (filter, update, actor) => {
+  const before = await Expense.find({ ...filter, group: { $exists: false }, 'approval.state': { $nin: LOCKED_STATES } })
+    .setOptions({ withDeleted: true })
+    .lean();
+  if (before.length === 0) return 0;
+  const ids = before.map(expense => expense._id);
+  const { modifiedCount } = await Expense.updateMany({ _id: { $in: ids } }, update).setOptions({ withDeleted: true });
+  const after = await Expense.find({ _id: { $in: ids } }).setOptions({ withDeleted: true }).lean();
+  const afterById = new Map(after.map(expense => [expense._id.toString(), expense]));
+  await Promise.all(before
+    .filter(expense => afterById.has(expense._id.toString()))
+    .map(expense => recordUpdate(expense, afterById.get(expense._id.toString()), actor, 'tag')));
+  return modifiedCount;
+};
+
+// Rename or merge: replace the tags in `from` with `to` on expenses,
+// recurring series and tag budgets
+const replaceTags = async (userId, from, to, actor) => {
+  const filter = { user: userId, tags: { $in: from } };
+  const [expenses, recurring, budgets] = await Promise.all([
+    updateExpenseTags(filter, replaceTagsUpdate(from, to), actor),
+    RecurringExpense.updateMany(filter, replaceTagsUpdate(from, to)),
+    Budget.updateMany({ user: userId, scope: 'tag', tag: { $in: from } }, { tag: to })
+  ]);
+  return {
+    expenses,
+    recurring: recurring.modifiedCount,
+    budgets: budgets.modifiedCount
+  };
+};
+
+// Remove a tag from every expense and recurring series. Tag budgets are
+// left alone so their history stays readable.
+const deleteTag = async (userId, tag, actor) => {
+  const filter = { user: userId, tags: tag };
+  const [expenses, recurring] = await Promise.all([
+    updateExpenseTags(filter, { $pull: { tags: tag } }, actor),
+    RecurringExpense.updateMany(filter, { $pull: { tags: tag } })
+  ]);
+  return {
+    expenses,
+    recurring: recurring.modifiedCount
+  };
+};
+
+// Collapse tags that differ only by case. With `mode` 'lower' every tag
+// becomes lowercase; with 'most-used' each group takes its most used
+// spelling. Returns the renames, applying them as `actor` unless `dryRun`.
+const normalizeTagCase = async (userId, { mode = 'most-used', dryRun = false, actor } = {}) => {
+  const usage = await Expense.aggregate([
+    ...tagStages({ user: userId }),
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+
+  const groups = new Map();
+  usage.forEach(entry => {
+    const key = entry._id.toLowerCase();
+    groups.set(key, (groups.get(key) || []).concat(entry));
+  });
+
+  const changes = [];
+  groups.forEach((variants, lower) => {
+    const target = mode === 'lower'
+      ? lower
+      : variants.slice().sort((a, b) => b.count - a.count || a._id.localeCompare(b._id))[0]._id;
+    const from = variants.map(variant => variant._id).filter(tag => tag !== target);
+    if (from.length > 0) changes.push({ from, to: target });
+  });
+
+  if (!dryRun) {
+    for (const change of changes) {
+      change.updated = await replaceTags(userId, change.from, change.to, actor);
+    }
+  }
+  return changes;
+};
+
+module.exports = {
+  listTags,
+  tagReport,
+  replaceTags,
+  deleteTag,
+  normalizeTagCase
+};
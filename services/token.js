@@ -0,0 +1,109 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const accessTokenExpiry = () => process.env.JWT_EXPIRE || '15m';
+const refreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Short-lived JWT tied to a session
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { id: userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: accessTokenExpiry() }
+);
+
+const issueRefreshToken = async (session) => {
+  const token = randomToken(48);
+  await RefreshToken.create({
+    session: session._id,
+    user: session.user,
+    tokenHash: hashToken(token),
+    expiresAt: session.expiresAt
+  });
+  return token;
+};
+
+// Start a session for a freshly authenticated user and return its tokens
+const createSession = async (user, req) => {
+  const session = await Session.create({
+    user: user._id,
+    userAgent: req && req.get('user-agent') ? req.get('user-agent').slice(0, 500) : undefined,
+    ip: req ? req.ip : undefined,
+    expiresAt: new Date(Date.now() + refreshTokenDays() * DAY_MS)
+  });
+  return {
+    session,
+    token: signAccessToken(user._id, session._id),
+    refreshToken: await issueRefreshToken(session)
+  };
+};
+
+const revokeSession = (sessionId, reason) => Session.updateOne(
+  { _id: sessionId, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Revoke every session of a user, optionally keeping one
+const revokeAllSessions = async (userId, reason, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+// Exchange a refresh token for a new access/refresh token pair. Throws an
+// error with `status` 401 when the token cannot be used.
+const rotateRefreshToken = async (token) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now }
+  );
+
+  const unauthorized = (message) => Object.assign(new Error(message), { status: 401 });
+
+  if (!current) {
+    const used = await RefreshToken.findOne({ tokenHash, usedAt: { $ne: null } });
+    if (used) {
+      await revokeSession(used.session, 'reuse_detected');
+      throw unauthorized('Refresh token has already been used. Please login again.');
+    }
+    throw unauthorized('Invalid or expired refresh token');
+  }
+
+  const session = await Session.findOne({ _id: current.session, revokedAt: null });
+  if (!session) {
+    throw unauthorized('Session has been revoked. Please login again.');
+  }
+
+  session.lastUsedAt = now;
+  session.expiresAt = new Date(now.getTime() + refreshTokenDays() * DAY_MS);
+  await session.save();
+
+  return {
+    session,
+    token: signAccessToken(session.user, session._id),
+    refreshToken: await issueRefreshToken(session)
+  };
+};
+
+// Active session for an access token's `sid`, or null when revoked or gone
+const findActiveSession = (sessionId, userId) => Session.findOne({
+  _id: sessionId,
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}).lean();
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findActiveSession
+};
@@ -0,0 +1,204 @@
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const ExpenseHistory = require('../models/ExpenseHistory');
+const ExpenseRule = require('../models/ExpenseRule');
+const Income = require('../models/Income');
+const Invitation = require('../models/Invitation');
+const Notification = require('../models/Notification');
+const Organization = require('../models/Organization');
+const RecurringExpense = require('../models/RecurringExpense');
+const RefreshToken = require('../models/RefreshToken');
+const SavedFilter = require('../models/SavedFilter');
+const Session = require('../models/Session');
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const { removeAllAttachments } = require('./attachment');
+const { revokeAllSessions } = require('./token');
+const history = require('./history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days an expense stays in the trash before it is purged
+const trashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+// Days a deleted account can still be restored
+const accountGraceDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+const purgeDateOf = (expense) => new Date(expense.deletedAt.getTime() + trashRetentionDays() * DAY_MS);
+
+// Put `expense` in the trash without saving it. A recurring occurrence
+// leaves its series, so that its date can be generated again without
+// clashing with it and a restored one comes back as a standalone expense.
+const moveToTrash = (expense, actor) => {
+  expense.deletedAt = new Date();
+  expense.deletedBy = actor && actor._id;
+  expense.recurringSeries = undefined;
+  return expense;
+};
+
+const trashExpense = async (expense, actor, source = 'api') => {
+  moveToTrash(expense, actor);
+  await expense.save();
+  await history.recordDelete(expense, actor, source);
+  return expense;
+};
+
+const restoreExpense = async (expense, actor) => {
+  expense.deletedAt = undefined;
+  expense.deletedBy = undefined;
+  await expense.save();
+  await history.recordRestore(expense, actor);
+  return expense;
+};
+
+// Permanently delete the expenses matching `filter`, trashed or not, and
+// their attachment files. Returns the number removed.
+const purgeExpenses = async (filter, actor = null) => {
+  const expenses = await Expense.find(filter).setOptions({ withDeleted: true });
+  if (expenses.length === 0) return 0;
+  for (const expense of expenses) {
+    await removeAllAttachments(expense);
+  }
+  const { deletedCount } = await Expense.deleteMany({ _id: { $in: expenses.map(expense => expense._id) } });
+  await history.recordPurge(expenses, actor, 'trash');
+  return deletedCount;
+};
+
+const purgeExpiredTrash = (now = new Date()) => purgeExpenses({
+  deletedAt: { $lte: new Date(now.getTime() - trashRetentionDays() * DAY_MS) }
+});
+
+// Deactivate the account now and purge it once the grace period is over.
+// `actor` is the admin who deleted it, if any.
+const scheduleAccountDeletion = async (user, actor) => {
+  user.deletedAt = new Date();
+  user.purgeAt = new Date(user.deletedAt.getTime() + accountGraceDays() * DAY_MS);
+  user.deletedBy = actor && actor._id;
+  user.activeBeforeDeletion = user.isActive;
+  user.isActive = false;
+  await user.save();
+  await revokeAllSessions(user._id, 'account_deleted');
+  return user;
+};
+
+// Take the account out of deletion. An account an admin had deactivated
+// before it was deleted stays deactivated.
+const restoreAccount = async (user) => {
+  user.deletedAt = undefined;
+  user.purgeAt = undefined;
+  user.deletedBy = undefined;
+  user.isActive = user.activeBeforeDeletion !== false;
+  user.activeBeforeDeletion = undefined;
+  await user.save();
+  return user;
+};
+
+// Take a user out of their organizations. Organizations they were alone in
+// are deleted; where they were the only owner, the longest-standing member
+// takes over. Returns the ids of the deleted organizations.
+const leaveOrganizations = async (user) => {
+  const organizations = await Organization.find({ 'members.user': user._id });
+  const deleted = [];
+  for (const organization of organizations) {
+    organization.members = organization.members.filter(member => !member.user.equals(user._id));
+    if (organization.members.length === 0) {
+      deleted.push(organization._id);
+      continue;
+    }
+    if (!organization.members.some(member => member.role === 'owner')) {
+      const successor = [...organization.members].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+      successor.role = 'owner';
+    }
+    await organization.save();
+  }
+  await Organization.deleteMany({ _id: { $in: deleted } });
+  await Invitation.deleteMany({ $or: [{ email: user.email }, { organization: { $in: deleted } }] });
+  return deleted;
+};
+
+// Remove the account and everything that belongs to it. Expenses shared in a
+// group are kept, as the other members' balances are built from them, and so
+// are expenses filed in an organization that still has members.
+const purgeAccount = async (user) => {
+  const userId = user._id;
+  const deletedOrganizations = await leaveOrganizations(user);
+  const expenses = await purgeExpenses({
+    user: userId,
+    group: { $exists: false },
+    $or: [{ organization: { $exists: false } }, { organization: { $in: deletedOrganizations } }]
+  });
+  await Promise.all([
+    RecurringExpense.deleteMany({ user: userId }),
+    Budget.deleteMany({ user: userId }),
+    Category.deleteMany({ user: userId }),
+    Income.deleteMany({ user: userId }),
+    SavedFilter.deleteMany({ user: userId }),
+    ExpenseRule.deleteMany({ user: userId }),
+    Subscription.deleteMany({ user: userId }),
+    Notification.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    ExpenseHistory.deleteMany({ user: userId })
+  ]);
+  await User.deleteOne({ _id: userId });
+  return { expenses };
+};
+
+const purgeDueAccounts = async (now = new Date()) => {
+  const users = await User.find({ purgeAt: { $lte: now } });
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+    } catch (error) {
+      console.error(`Purging account ${user._id} failed:`, error);
+    }
+  }
+  return users.length;
+};
+
+let purgeTimer = null;
+let running = false;
+
+const runPurge = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const expenses = await purgeExpiredTrash();
+    const accounts = await purgeDueAccounts();
+    if (expenses > 0 || accounts > 0) {
+      console.log(`🗑️ Purged ${expenses} expense(s) from the trash and ${accounts} deleted account(s)`);
+    }
+  } catch (error) {
+    console.error('Purge job error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Run once at startup, then on an interval
+const startPurgeScheduler = (intervalMs = parseInt(process.env.PURGE_INTERVAL_MS) || 6 * 60 * 60 * 1000) => {
+  if (purgeTimer) return;
+  runPurge();
+  purgeTimer = setInterval(runPurge, intervalMs);
+};
+
+const stopPurgeScheduler = () => {
+  clearInterval(purgeTimer);
+  purgeTimer = null;
+};
+
+module.exports = {
+  trashRetentionDays,
+  purgeDateOf,
+  moveToTrash,
+  trashExpense,
+  restoreExpense,
+  purgeExpenses,
+  purgeExpiredTrash,
+  scheduleAccountDeletion,
+  restoreAccount,
+  purgeAccount,
+  purgeDueAccounts,
+  startPurgeScheduler,
+  stopPurgeScheduler
+};
@@ -0,0 +1,33 @@
+const round = (value) => Math.round(value * 100) / 100;
+
+// Share of income left after expenses, as a percentage. Null without income.
+const savingsRate = (income, expenses) => (income > 0
+  ? Math.round(((income - expenses) / income) * 1000) / 10
+  : null);
+
+const cashFlow = (income, expenses) => ({
+  income: round(income),
+  expenses: round(expenses),
+  net: round(income - expenses),
+  savingsRate: savingsRate(income, expenses)
+});
+
+// Merge income and expense totals grouped by the same key (e.g. month) into
+// one cash-flow entry per key, ordered by key
+const mergeCashFlow = (incomeGroups, expenseGroups) => {
+  const entries = new Map();
+  const entry = (id) => {
+    if (!entries.has(id)) entries.set(id, { _id: id, income: 0, expenses: 0 });
+    return entries.get(id);
+  };
+  incomeGroups.forEach(group => { entry(group._id).income = group.total; });
+  expenseGroups.forEach(group => { entry(group._id).expenses = group.total; });
+  return [...entries.values()]
+    .sort((a, b) => (a._id < b._id ? -1 : a._id > b._id ? 1 : 0))
+    .map(({ _id, income, expenses }) => ({ _id, ...cashFlow(income, expenses) }));
+};
+
+module.exports = {
+  cashFlow,
+  mergeCashFlow
+};
@@ -0,0 +1,26 @@
+// System categories every user starts with. Seeded into the Category
+// collection at startup; users can add their own alongside them.
+const DEFAULT_CATEGORIES = [
+  { name: 'Food & Dining', color: '#ef6c00', icon: 'restaurant' },
+  { name: 'Transportation', color: '#1e88e5', icon: 'directions_car' },
+  { name: 'Shopping', color: '#8e24aa', icon: 'shopping_bag' },
+  { name: 'Entertainment', color: '#d81b60', icon: 'movie' },
+  { name: 'Healthcare', color: '#e53935', icon: 'local_hospital' },
+  { name: 'Education', color: '#3949ab', icon: 'school' },
+  { name: 'Housing', color: '#6d4c41', icon: 'home' },
+  { name: 'Utilities', color: '#00897b', icon: 'bolt' },
+  { name: 'Insurance', color: '#546e7a', icon: 'shield' },
+  { name: 'Travel', color: '#039be5', icon: 'flight' },
+  { name: 'Gifts', color: '#f4511e', icon: 'card_giftcard' },
+  { name: 'Personal Care', color: '#c0ca33', icon: 'spa' },
+  { name: 'Subscriptions', color: '#5e35b1', icon: 'autorenew' },
+  { name: 'Other', color: '#9e9e9e', icon: 'category' }
+];
+
+// Expenses of a deleted category are moved here unless told otherwise
+const FALLBACK_CATEGORY = 'Other';
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  FALLBACK_CATEGORY
+};
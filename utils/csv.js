@@ -0,0 +1,59 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and
+// CRLF/LF line endings. Returns an array of rows, each an array of strings.
+// Blank lines are kept (as ['']) so row indexes line up with file lines.
+const parseCSV = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Serialize one row of values, quoting fields that need it
+const toCSVRow = (values, delimiter = ',') => values
+  .map(value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  })
+  .join(delimiter) + '\r\n';
+
+module.exports = {
+  parseCSV,
+  toCSVRow
+};
@@ -0,0 +1,11 @@
+// ISO 4217 codes accepted for user home currencies and expenses
+const CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD',
+  'AED', 'ARS', 'BDT', 'BGN', 'BRL', 'CHF', 'CLP', 'CNY', 'COP', 'CZK',
+  'DKK', 'EGP', 'HKD', 'HUF', 'IDR', 'ILS', 'ISK', 'JPY', 'KES', 'KRW',
+  'KWD', 'LKR', 'MXN', 'MYR', 'NGN', 'NOK', 'NZD', 'PEN', 'PHP', 'PKR',
+  'PLN', 'QAR', 'RON', 'SAR', 'SEK', 'SGD', 'THB', 'TRY', 'TWD', 'VND',
+  'ZAR'
+];
+
+module.exports = CURRENCIES;
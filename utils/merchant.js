@@ -0,0 +1,9 @@
+// Merchant of an expense: its location when set, otherwise its title,
+// lower-cased so spellings that differ only by case are combined
+const merchantOf = (expense) => ((expense.location && expense.location.trim()) || expense.title || '')
+  .trim()
+  .toLowerCase();
+
+module.exports = {
+  merchantOf
+};
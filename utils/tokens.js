@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Random token for links and refresh tokens, hex encoded
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Tokens are stored as SHA-256 hashes so a database leak does not expose them
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  randomToken,
+  hashToken
+};
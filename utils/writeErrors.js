@@ -0,0 +1,22 @@
+const DUPLICATE_KEY = 11000;
+
+// Mongoose copies the driver's write errors into plain objects, which lose
+// the `code` getter, so the code is also read from the wrapped `err`
+const writeErrorCode = (writeError) => writeError.code ?? (writeError.err && writeError.err.code);
+
+// True when every write an insertMany rejected hit a unique index
+const isDuplicateKeyError = (error) => {
+  if (error.writeErrors) {
+    return error.writeErrors.every(writeError => writeErrorCode(writeError) === DUPLICATE_KEY);
+  }
+  return error.code === DUPLICATE_KEY;
+};
+
+// Documents an unordered insertMany of `Model` did write before it failed.
+// Its `results` hold, in order, the document or the error for each input.
+const insertedDocuments = (error, Model) => (error.results || []).filter(result => result instanceof Model);
+
+module.exports = {
+  isDuplicateKeyError,
+  insertedDocuments
+};